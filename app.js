@@ -2,15 +2,27 @@ import * as THREE from 'three';
 window.THREE = THREE; // Expose THREE globally for components that need it
 
 import { ARScene } from './ar-scene.js';
-import { PongGame } from './pong-game.js';
 import { DebugUtility } from './debug-utility.js';
+import { experienceRegistry } from './experience-registry.js';
+import { SettingsPanel } from './settings-panel.js';
+import { BoardMover } from './board-mover.js';
+
+// Experience modules register themselves with the registry on import
+import './pong-game.js';
+
+// Placement hint for each ARScene placement state
+const PLACEMENT_HINTS = {
+    scanning: 'Move your device slowly across a flat surface to scan it.',
+    unsuitable: 'This surface is too small or not level, try a larger table or the floor.',
+    ready: 'Tap to place the game here.'
+};
 
 // Main application class
 class App {
     constructor() {
         this.arScene = null;
-        this.currentExperience = 'pong';
-        this.pongGame = null;
+        this.currentExperience = null;
+        this.experience = null;
         this.debug = new DebugUtility();
         
         // DOM Elements
@@ -18,8 +30,20 @@ class App {
         this.exitARButton = document.getElementById('exitAR');
         this.landingPage = document.getElementById('landing');
         this.arContent = document.getElementById('arContent');
-        this.experienceItems = document.querySelectorAll('.experience-item');
+        this.experienceList = document.querySelector('.experience-list');
+        this.experienceOptionsContainer = document.getElementById('experienceOptions');
+        this.experienceItems = [];
+        this.experienceOptions = {}; // Chosen option values per experience id
+        this.settingsToggleButtons = Array.from(document.querySelectorAll('.settings-toggle'));
+        this.settingsContainers = [
+            document.getElementById('experienceSettings'),
+            document.getElementById('arSettings')
+        ].filter(Boolean);
+        this.settingsPanels = [];
         this.toggleDebugButton = document.getElementById('toggle-debug');
+        this.moveBoardButton = document.getElementById('moveBoardButton');
+        this.resetPlacementButton = document.getElementById('resetPlacementButton');
+        this.boardMover = null;
         
         // AR state
         this.arSupported = null; // null = unknown, true = supported, false = not supported
@@ -27,6 +51,9 @@ class App {
         this.arStartAttempts = 0;
         this.maxARStartAttempts = 3;
         
+        // Build the experience list from the registry
+        this.renderExperienceList();
+        
         // Create loading indicator
         this.createLoadingIndicator();
         
@@ -63,6 +90,150 @@ class App {
         this.debug.log("Browser compatibility check passed");
     }
     
+    renderExperienceList() {
+        const experiences = experienceRegistry.list();
+        this.experienceList.innerHTML = '';
+        
+        if (experiences.length === 0) {
+            this.debug.warn("No experiences registered");
+            this.startARButton.disabled = true;
+            return;
+        }
+        
+        this.experienceItems = experiences.map(experience => {
+            const item = document.createElement('div');
+            item.className = 'experience-item';
+            item.dataset.experience = experience.id;
+            
+            if (experience.thumbnail) {
+                const thumbnail = document.createElement('img');
+                thumbnail.className = 'experience-thumbnail';
+                thumbnail.src = experience.thumbnail;
+                thumbnail.alt = '';
+                item.appendChild(thumbnail);
+            }
+            
+            const title = document.createElement('h3');
+            title.textContent = experience.title;
+            item.appendChild(title);
+            
+            const description = document.createElement('p');
+            description.textContent = experience.description;
+            item.appendChild(description);
+            
+            this.experienceList.appendChild(item);
+            return item;
+        });
+        
+        // Select the first experience by default
+        this.selectExperience(experiences[0].id, this.experienceItems[0]);
+    }
+    
+    renderExperienceOptions(experienceId) {
+        const container = this.experienceOptionsContainer;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const experience = experienceRegistry.get(experienceId);
+        const options = experience?.options || [];
+        const values = this.getExperienceOptions(experienceId);
+        const fields = [];
+        
+        for (const option of options) {
+            const field = document.createElement('label');
+            field.className = 'experience-option';
+            
+            const label = document.createElement('span');
+            label.textContent = option.label;
+            field.appendChild(label);
+            
+            let input;
+            if (option.type === 'select') {
+                input = document.createElement('select');
+                for (const choice of option.choices) {
+                    const element = document.createElement('option');
+                    element.value = choice.value;
+                    element.textContent = choice.label;
+                    input.appendChild(element);
+                }
+            } else if (option.type === 'file') {
+                input = document.createElement('input');
+                input.type = 'file';
+                if (option.accept) input.accept = option.accept;
+            } else {
+                input = document.createElement('input');
+                input.type = 'text';
+                if (option.placeholder) input.placeholder = option.placeholder;
+            }
+            input.name = option.id;
+            if (option.type !== 'file') {
+                input.value = values[option.id];
+            }
+            input.addEventListener('change', async () => {
+                // Files are read here, experiences receive their contents as text
+                if (option.type === 'file') {
+                    const file = input.files[0];
+                    values[option.id] = file ? await file.text() : null;
+                } else {
+                    values[option.id] = input.value;
+                }
+                this.debug.log(`Option ${option.id} set to ${input.value}`);
+                updateVisibility();
+            });
+            field.appendChild(input);
+            
+            container.appendChild(field);
+            fields.push({ option, field });
+        }
+        
+        // Hide options that only apply to certain values of other options
+        const updateVisibility = () => {
+            for (const { option, field } of fields) {
+                const conditions = Object.entries(option.showWhen || {});
+                const visible = conditions.every(([id, allowed]) => allowed.includes(values[id]));
+                field.style.display = visible ? '' : 'none';
+            }
+        };
+        updateVisibility();
+    }
+    
+    // Settings panels on the landing page and in the AR overlay share the
+    // experience's settings store, so changes made in AR apply live
+    renderExperienceSettings(experienceId) {
+        this.settingsPanels.forEach(panel => panel.dispose());
+        this.settingsPanels = [];
+        
+        const experience = experienceRegistry.get(experienceId);
+        const store = experience?.settings;
+        
+        for (const button of this.settingsToggleButtons) {
+            button.style.display = store ? '' : 'none';
+        }
+        store?.setDebug(this.debug);
+        
+        for (const container of this.settingsContainers) {
+            container.classList.remove('visible');
+            if (!store) continue;
+            
+            const panel = new SettingsPanel(container, store, { title: `${experience.title} settings` });
+            panel.render();
+            this.settingsPanels.push(panel);
+        }
+    }
+    
+    getExperienceOptions(experienceId) {
+        if (!this.experienceOptions[experienceId]) {
+            // Start from the defaults declared by the experience
+            const defaults = {};
+            for (const option of experienceRegistry.get(experienceId)?.options || []) {
+                defaults[option.id] = option.default;
+            }
+            this.experienceOptions[experienceId] = defaults;
+        }
+        return this.experienceOptions[experienceId];
+    }
+    
     createLoadingIndicator() {
         const loadingIndicator = document.createElement('div');
         loadingIndicator.className = 'loading-indicator';
@@ -168,6 +339,17 @@ class App {
         this.startARButton.addEventListener('click', () => this.startARExperience());
         this.exitARButton.addEventListener('click', () => this.exitARExperience());
         
+        // Moving or re-placing the board pauses the game, the player resumes it
+        this.moveBoardButton?.addEventListener('click', () => {
+            if (!this.boardMover) return;
+            
+            const active = !this.boardMover.active;
+            if (active) this.pauseExperience();
+            this.boardMover.setActive(active);
+            this.updateBoardControls();
+        });
+        this.resetPlacementButton?.addEventListener('click', () => this.resetPlacement());
+        
         // Experience selection
         this.experienceItems.forEach(item => {
             item.addEventListener('click', () => {
@@ -178,6 +360,16 @@ class App {
             });
         });
         
+        // Settings panels, each toggle opens the panel it controls
+        this.settingsToggleButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const container = document.getElementById(button.dataset.target);
+                if (container) {
+                    container.classList.toggle('visible');
+                }
+            });
+        });
+        
         // Debug panel toggle
         if (this.toggleDebugButton) {
             this.toggleDebugButton.addEventListener('click', () => {
@@ -196,6 +388,30 @@ class App {
             this.onARReady();
         });
         
+        // Placement hint follows what the scene can see
+        document.addEventListener('ar-placement-state', (event) => {
+            this.showPlacementHint(event.detail.state);
+        });
+        
+        // Experiences ask to be closed, e.g. from their quit button
+        document.addEventListener('experience-quit', () => {
+            if (this.arActive) {
+                this.exitARExperience();
+            }
+        });
+        
+        // Pause when the page or the XR session is hidden; the player resumes
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.pauseExperience();
+            }
+        });
+        document.addEventListener('ar-visibility-change', (event) => {
+            if (event.detail.visibilityState !== 'visible') {
+                this.pauseExperience();
+            }
+        });
+        
         // Handle window resize
         window.addEventListener('resize', this.onWindowResize.bind(this));
         
@@ -204,6 +420,9 @@ class App {
         
         // Handle taps for AR placement
         document.addEventListener('touchstart', (event) => {
+            // Touches on the overlay UI are not taps into the scene
+            if (event.target.closest?.('#ui')) return;
+            
             if (this.arActive && this.arScene && !this.arScene.debugMode) {
                 // Only process taps if we're in AR mode and not debug mode
                 this.handleARTap(event);
@@ -258,12 +477,13 @@ class App {
     handleARTap(event) {
         if (!this.arScene || !this.arScene.lastHitPoseMatrix) return;
         
-        // Create tap event to place content in AR
+        // Experiences may consume the tap, otherwise it places the content
         const position = new THREE.Vector3();
         position.setFromMatrixPosition(this.arScene.lastHitPoseMatrix);
         
-        this.arScene.placeARContent(position);
-        this.debug.log(`AR tap registered, placing content at (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
+        if (this.arScene.handleTap()) {
+            this.debug.log(`AR tap registered at (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
+        }
     }
     
     onARReady() {
@@ -273,10 +493,38 @@ class App {
     
     onARPlaced() {
         this.debug.log("AR content has been placed");
+        this.updateBoardControls();
+        
+        // Placing again after a reset keeps the running experience
+        if (this.experience) return;
+        
         // Now load the experience into the AR anchor
         this.loadExperience(this.currentExperience);
     }
     
+    resetPlacement() {
+        if (!this.arScene || this.arScene.debugMode) return;
+        
+        this.boardMover?.setActive(false);
+        this.pauseExperience();
+        this.arScene.resetPlacement();
+        this.showARInstructions();
+        this.updateBoardControls();
+    }
+    
+    // Board buttons only apply to content placed in a real AR session
+    updateBoardControls() {
+        const placed = this.arActive && this.arScene && !this.arScene.debugMode && this.arScene.arAnchor?.userData.placed;
+        const moving = Boolean(this.boardMover?.active);
+        
+        if (this.moveBoardButton) {
+            this.moveBoardButton.textContent = moving ? 'Done' : 'Move board';
+            this.moveBoardButton.classList.toggle('visible', Boolean(placed));
+            this.moveBoardButton.classList.toggle('active', moving);
+        }
+        this.resetPlacementButton?.classList.toggle('visible', Boolean(placed));
+    }
+    
     selectExperience(experienceId, element) {
         // Update UI
         this.experienceItems.forEach(item => item.classList.remove('active'));
@@ -284,6 +532,8 @@ class App {
         
         // Set current experience
         this.currentExperience = experienceId;
+        this.renderExperienceOptions(experienceId);
+        this.renderExperienceSettings(experienceId);
         this.debug.log(`Selected experience: ${experienceId}`);
     }
     
@@ -292,24 +542,31 @@ class App {
             this.debug.log("Starting AR experience...");
             this.showLoading();
             
+            const usesAR = experienceRegistry.usesARSession(
+                this.currentExperience,
+                this.getExperienceOptions(this.currentExperience)
+            );
+            
             // Pre-request camera permission
-            try {
-                const stream = await navigator.mediaDevices.getUserMedia({ 
-                    video: { 
-                        facingMode: 'environment',
-                        width: { ideal: 1280 },
-                        height: { ideal: 720 }
-                    } 
-                });
-                stream.getTracks().forEach(track => track.stop());
-                this.debug.log("Camera permission granted");
-            } catch (error) {
-                this.debug.warn("Could not get camera permission:", error);
-                if (this.permissionButton) {
-                    this.permissionButton.style.display = 'block';
+            if (usesAR) {
+                try {
+                    const stream = await navigator.mediaDevices.getUserMedia({ 
+                        video: { 
+                            facingMode: 'environment',
+                            width: { ideal: 1280 },
+                            height: { ideal: 720 }
+                        } 
+                    });
+                    stream.getTracks().forEach(track => track.stop());
+                    this.debug.log("Camera permission granted");
+                } catch (error) {
+                    this.debug.warn("Could not get camera permission:", error);
+                    if (this.permissionButton) {
+                        this.permissionButton.style.display = 'block';
+                    }
+                    this.hideLoading();
+                    return;
                 }
-                this.hideLoading();
-                return;
             }
             
             // Hide landing page and show AR content
@@ -330,12 +587,30 @@ class App {
                     throw new Error("Failed to initialize AR scene");
                 }
                 this.debug.log("AR scene initialized successfully");
+                
+                this.boardMover = new BoardMover(this.arScene, this.debug);
+            } else if (this.arScene.debugMode) {
+                // The debug scene stops rendering when an experience exits
+                this.arScene.setupDebugMode();
+            }
+            
+            // Experiences without an AR session use the debug scene just this once
+            if (!usesAR && !this.arScene.debugMode) {
+                this.arScene.enterDebugMode({ temporary: true });
             }
             
             // Start the AR session
             if (!this.arScene.debugMode) {
                 try {
-                    await this.arScene.startXRSession();
+                    this.arScene.setPlacementFootprint(experienceRegistry.getPlacementFootprint(
+                        this.currentExperience,
+                        this.getExperienceOptions(this.currentExperience)
+                    ));
+                    const sessionInit = await experienceRegistry.getSessionInit(
+                        this.currentExperience,
+                        this.getExperienceOptions(this.currentExperience)
+                    );
+                    await this.arScene.startXRSession(sessionInit);
                     this.debug.log("AR session started successfully");
                 } catch (error) {
                     this.debug.error("Failed to start AR session:", error);
@@ -384,11 +659,11 @@ class App {
             instructionsOverlay.innerHTML = `
                 <div class="instructions-content">
                     <h3>Place AR Content</h3>
-                    <p>Move your device to scan the environment.</p>
-                    <p>Tap on a detected surface to place the game.</p>
+                    <p class="placement-hint"></p>
                 </div>
             `;
             document.body.appendChild(instructionsOverlay);
+            this.showPlacementHint(this.arScene?.placementState || 'scanning');
             
             // Hide after AR content is placed
             document.addEventListener('ar-placed', () => {
@@ -401,25 +676,52 @@ class App {
         }
     }
     
+    showPlacementHint(state) {
+        const hint = document.querySelector('#arInstructionsOverlay .placement-hint');
+        if (!hint || !PLACEMENT_HINTS[state]) return;
+        
+        hint.textContent = PLACEMENT_HINTS[state];
+        hint.dataset.state = state;
+    }
+    
     loadExperience(experienceId) {
         this.debug.log(`Loading experience: ${experienceId}`);
         
         // Clear any existing experience
-        if (this.pongGame) {
-            this.pongGame.dispose();
-            this.pongGame = null;
+        this.disposeExperience();
+        
+        if (!experienceRegistry.has(experienceId)) {
+            this.debug.warn(`Experience "${experienceId}" is not registered`);
+            return;
         }
         
         // Initialize the selected experience
-        switch (experienceId) {
-            case 'pong':
-                this.debug.log("Creating pong game...");
-                this.pongGame = new PongGame(this.arScene, this.debug);
-                this.pongGame.initialize();
-                break;
-            default:
-                this.debug.log('Experience not yet implemented');
-                break;
+        try {
+            const options = { ...this.getExperienceOptions(experienceId) };
+            this.experience = experienceRegistry.create(experienceId, this.arScene, this.debug, options);
+            this.experience.initialize();
+        } catch (error) {
+            this.debug.error(`Failed to load experience "${experienceId}":`, error);
+            this.disposeExperience();
+        }
+    }
+    
+    pauseExperience() {
+        if (this.experience) {
+            this.experience.pause();
+        }
+    }
+    
+    resumeExperience() {
+        if (this.experience) {
+            this.experience.resume();
+        }
+    }
+    
+    disposeExperience() {
+        if (this.experience) {
+            this.experience.dispose();
+            this.experience = null;
         }
     }
     
@@ -427,10 +729,8 @@ class App {
         this.debug.log("Exiting AR experience");
         
         // Clean up current experience
-        if (this.pongGame) {
-            this.pongGame.dispose();
-            this.pongGame = null;
-        }
+        this.disposeExperience();
+        this.boardMover?.setActive(false);
         
         // End AR session
         if (this.arScene) {
@@ -439,6 +739,7 @@ class App {
         
         // Set AR as inactive
         this.arActive = false;
+        this.updateBoardControls();
         
         // Hide any AR instructions
         const instructions = document.getElementById('arInstructionsOverlay');
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { PlaneTracker } from './plane-tracker.js';
+import { LightEstimator } from './light-estimator.js';
+import { DepthOcclusion } from './depth-occlusion.js';
+import { ShadowCatcher } from './shadow-catcher.js';
 
 export class ARScene {
     constructor(debug) {
@@ -8,6 +12,8 @@ export class ARScene {
         this.session = null;
         this.referenceSpace = null;
         this.hitTestSource = null;
+        this.transientHitTestSource = null;
+        this.lastTouchHitPoseMatrix = null;
         this.localReferenceSpace = null;
         this.frameOfReference = null;
         this.xrHitTestSource = null;
@@ -26,8 +32,17 @@ export class ARScene {
         this.animating = false;
         this.onUpdateCallbacks = [];
         
-        // Debug mode for non-AR testing
+        // Screen taps in AR, offered to handlers before placing content
+        this.tapHandlers = [];
+        
+        // Set while placed content is being moved, paddle input holds off meanwhile
+        this.movingContent = false;
+        
+        // Debug mode for non-AR testing. A temporary debug mode only lasts
+        // until the session ends, for experiences that don't use AR.
         this.debugMode = false;
+        this.temporaryDebugMode = false;
+        this.debugObjects = [];
         this.controls = null;
         
         // AR setup state tracking
@@ -36,6 +51,34 @@ export class ARScene {
         this.placementIndicator = null;
         this.arAnchor = null;
         
+        // Detected surfaces and whether the current hit may take the content.
+        // The placement state ('scanning', 'unsuitable' or 'ready') is reported
+        // through 'ar-placement-state' events for the placement hint.
+        this.planeTracker = null;
+        this.placementFootprint = null;
+        this.placementAllowed = true;
+        this.placementState = null;
+        
+        // Real-world lighting, static lights are used without it
+        this.lightEstimator = new LightEstimator(this, debug);
+        this.environmentMap = null;
+        
+        // Real objects hiding virtual ones, when the session has depth sensing
+        this.depthOcclusion = new DepthOcclusion(this, debug);
+        
+        // Shadows of placed content on the real surface, set up with the renderer
+        this.shadowCatcher = null;
+        
+        // WebXR anchor keeping arAnchor locked to the real world. Placement
+        // asks for one on the next frame; without anchor support the content
+        // just stays where it was placed. Tracking only counts as lost once
+        // the system reports it, swapping anchors doesn't raise any events.
+        this.xrAnchor = null;
+        this.anchorRequest = null;
+        this.anchorRequestId = 0;
+        this.anchorsSupported = true;
+        this.anchorTracked = true;
+        
         // Store the WebGL context for later reference
         this.gl = null;
     }
@@ -132,6 +175,7 @@ export class ARScene {
         
         // Add lights
         this.setupLights();
+        this.shadowCatcher = new ShadowCatcher(this, this.debug);
         
         this.debug.log("THREE.js scene setup complete");
     }
@@ -146,12 +190,31 @@ export class ARScene {
         this.directionalLight.position.set(0, 10, 0);
         this.scene.add(this.directionalLight);
         
+        // Unit vector towards the directional light, light estimation updates it
+        this.lightDirection = new THREE.Vector3(0, 1, 0);
+        
         // Add a hemisphere light for better outdoor lighting simulation
-        const hemisphereLight = new THREE.HemisphereLight(0xddeeff, 0x202020, 0.5);
-        this.scene.add(hemisphereLight);
+        this.hemisphereLight = new THREE.HemisphereLight(0xddeeff, 0x202020, 0.5);
+        this.scene.add(this.hemisphereLight);
+    }
+    
+    enterDebugMode({ temporary = false } = {}) {
+        this.debugMode = true;
+        this.temporaryDebugMode = temporary;
+        this.setupDebugMode();
     }
     
     setupDebugMode() {
+        // Already set up by an earlier session, show it and render again
+        if (this.debugObjects.length > 0) {
+            this.debugObjects.forEach(object => { object.visible = true; });
+            if (this.controls) this.controls.enabled = true;
+            this.animating = true;
+            this.renderer.setAnimationLoop(this.renderDebug.bind(this));
+            this.debug.log("Resumed debug mode (non-AR)");
+            return;
+        }
+        
         this.debug.log("Starting in debug mode (non-AR)");
         
         // Create a simple platform for the game
@@ -162,6 +225,7 @@ export class ARScene {
         platform.position.set(0, 1.2, -2); // Position where we'll look
         platform.receiveShadow = true;
         this.scene.add(platform);
+        this.debugObjects.push(platform);
         
         // Import OrbitControls dynamically
         import('three/addons/controls/OrbitControls.js').then(({ OrbitControls }) => {
@@ -179,6 +243,7 @@ export class ARScene {
             
             const axesHelper = new THREE.AxesHelper(1);
             this.scene.add(axesHelper);
+            this.debugObjects.push(gridHelper, axesHelper);
             
             // Start animation loop
             this.animating = true;
@@ -212,7 +277,8 @@ export class ARScene {
         this.renderer.render(this.scene, this.camera);
     }
     
-    async startXRSession() {
+    // `extraInit` lets the running experience ask for more session features
+    async startXRSession(extraInit = {}) {
         if (this.session) {
             this.debug.warn("Session already exists, ending it first");
             await this.endSession();
@@ -223,8 +289,9 @@ export class ARScene {
             
             // Define session features
             const sessionInit = {
-                requiredFeatures: ['local', 'hit-test'],
-                optionalFeatures: ['dom-overlay']
+                ...extraInit,
+                requiredFeatures: ['local', 'hit-test', ...(extraInit.requiredFeatures || [])],
+                optionalFeatures: ['dom-overlay', 'anchors', 'plane-detection', 'light-estimation', ...(extraInit.optionalFeatures || [])]
             };
             
             // Add dom-overlay if supported
@@ -234,7 +301,10 @@ export class ARScene {
                 this.debug.log("Using DOM overlay for UI");
             }
             
-            this.debug.log("Requesting immersive-ar session with options:", JSON.stringify(sessionInit));
+            this.debug.log("Requesting immersive-ar session with features:", JSON.stringify({
+                requiredFeatures: sessionInit.requiredFeatures,
+                optionalFeatures: sessionInit.optionalFeatures
+            }));
             
             // Request session
             this.session = await navigator.xr.requestSession('immersive-ar', sessionInit);
@@ -266,8 +336,36 @@ export class ARScene {
                 space: viewerSpace
             });
             
+            if (!this.planeTracker) {
+                this.planeTracker = new PlaneTracker(this.scene, this.debug);
+                this.planeTracker.setFootprint(this.placementFootprint);
+            }
+            
+            this.shadowCatcher.start(session);
+            this.lightEstimator.start(session)
+                .catch(error => this.debug.warn("Light estimation failed, keeping static lights:", error));
+            try {
+                this.depthOcclusion.start(session);
+            } catch (error) {
+                this.debug.warn("Could not start depth occlusion, virtual objects are drawn over real ones:", error);
+            }
+            
+            // Hit tests under the user's finger, for dragging placed content
+            if (session.requestHitTestSourceForTransientInput) {
+                session.requestHitTestSourceForTransientInput({ profile: 'generic-touchscreen' })
+                    .then(source => { this.transientHitTestSource = source; })
+                    .catch(error => this.debug.warn("Touch hit testing not available:", error));
+            }
+            
             // Set up event listeners
             session.addEventListener('end', this.onSessionEnd.bind(this));
+            session.addEventListener('visibilitychange', () => {
+                // 'hidden' or 'visible-blurred' while e.g. a system prompt is shown
+                this.debug.log(`XR session visibility: ${session.visibilityState}`);
+                document.dispatchEvent(new CustomEvent('ar-visibility-change', {
+                    detail: { visibilityState: session.visibilityState }
+                }));
+            });
             
             this.debug.log("XR session setup complete");
             return true;
@@ -282,6 +380,14 @@ export class ARScene {
             // Just stop the animation loop for debug mode
             this.renderer.setAnimationLoop(null);
             this.animating = false;
+            
+            // Back to AR next time, without the debug helpers or orbit controls
+            if (this.temporaryDebugMode) {
+                this.debugObjects.forEach(object => { object.visible = false; });
+                if (this.controls) this.controls.enabled = false;
+                this.debugMode = false;
+                this.temporaryDebugMode = false;
+            }
             this.debug.log("Ended debug mode session");
             return;
         }
@@ -305,6 +411,16 @@ export class ARScene {
         if (this.hitTestSource) {
             this.hitTestSource = null;
         }
+        this.transientHitTestSource = null;
+        this.lastTouchHitPoseMatrix = null;
+        this.planeTracker?.clear();
+        this.placementState = null;
+        this.lightEstimator.stop();
+        this.depthOcclusion.stop();
+        this.releaseXRAnchor();
+        this.anchorRequest = null;
+        this.anchorsSupported = true;
+        this.anchorTracked = true;
         
         // Stop animation loop
         this.animating = false;
@@ -329,6 +445,7 @@ export class ARScene {
         this.arAnchor = new THREE.Object3D();
         this.arAnchor.userData = { placed: false };
         this.scene.add(this.arAnchor);
+        this.shadowCatcher.attach(this.arAnchor);
         
         // Signal that AR content is ready to be used
         this.debug.log("AR anchor created, ready to place content");
@@ -352,6 +469,8 @@ export class ARScene {
 
         // Mark as placed
         this.arAnchor.userData.placed = true;
+        this.arAnchor.visible = true;
+        this.requestXRAnchor();
 
         this.debug.log(`Placed AR content at position: ${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}`);
 
@@ -364,6 +483,191 @@ export class ARScene {
         document.dispatchEvent(new CustomEvent('ar-placed'));
     }
     
+    // Move placed content to a transform agreed elsewhere, e.g. shared by
+    // another device. Unlike placeARContent this doesn't reload the experience.
+    setAnchorTransform(matrix) {
+        if (!this.arAnchor) this.createARContent();
+        
+        matrix.decompose(this.arAnchor.position, this.arAnchor.quaternion, this.arAnchor.scale);
+        this.arAnchor.userData.placed = true;
+        this.arAnchor.visible = true;
+        this.requestXRAnchor();
+        
+        if (this.placementIndicator) {
+            this.placementIndicator.visible = false;
+        }
+        
+        const { x, y, z } = this.arAnchor.position;
+        this.debug.log(`Moved AR content to position: ${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}`);
+    }
+    
+    // Occlusion only works when the session was started with depth sensing
+    setOcclusionEnabled(enabled) {
+        this.depthOcclusion.setEnabled(enabled);
+        if (enabled && this.session && !this.depthOcclusion.usage) {
+            this.debug.log("Occlusion needs depth sensing, which this session doesn't have");
+        }
+    }
+    
+    // Floor space the content needs, { width, depth } in meters, so placement
+    // can be limited to surfaces it fits on; null accepts any horizontal one
+    setPlacementFootprint(footprint) {
+        this.placementFootprint = footprint;
+        this.planeTracker?.setFootprint(footprint);
+    }
+    
+    setPlacementState(state) {
+        if (state === this.placementState) return;
+        this.placementState = state;
+        
+        document.dispatchEvent(new CustomEvent('ar-placement-state', { detail: { state } }));
+    }
+    
+    // Hide placed content and bring the placement indicator back; the next
+    // placement shows it again without reloading the experience
+    resetPlacement() {
+        if (!this.arAnchor) return;
+        
+        this.releaseXRAnchor();
+        this.cancelAnchorRequest();
+        this.setAnchorTracked(true);
+        this.arAnchor.userData.placed = false;
+        this.arAnchor.visible = false;
+        this.arAnchor.scale.setScalar(1);
+        
+        this.debug.log("AR placement reset, tap a surface to place the content again");
+    }
+    
+    // Anchors can only be created inside an XR frame, so the current placement
+    // is remembered and turned into an anchor by the next render()
+    requestXRAnchor() {
+        if (!this.session || !this.anchorsSupported) return;
+        
+        // The old anchor would pull the content back, and pending ones are stale
+        this.releaseXRAnchor();
+        this.anchorRequestId++;
+        this.arAnchor.updateMatrix();
+        this.anchorRequest = this.arAnchor.matrix.clone();
+    }
+    
+    // Forget an anchor that was asked for but not made yet, including one
+    // already being created, so it can't pull the content back
+    cancelAnchorRequest() {
+        this.anchorRequest = null;
+        this.anchorRequestId++;
+    }
+    
+    createXRAnchor(frame) {
+        const matrix = this.anchorRequest;
+        this.anchorRequest = null;
+        
+        const enabledFeatures = frame.session.enabledFeatures;
+        if (typeof frame.createAnchor !== 'function' || (enabledFeatures && !enabledFeatures.includes('anchors'))) {
+            this.anchorsSupported = false;
+            this.debug.warn("WebXR anchors not supported, AR content may drift as tracking improves");
+            return;
+        }
+        
+        const position = new THREE.Vector3();
+        const orientation = new THREE.Quaternion();
+        matrix.decompose(position, orientation, new THREE.Vector3());
+        const pose = new XRRigidTransform(
+            { x: position.x, y: position.y, z: position.z },
+            { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+        );
+        
+        // A newer placement may arrive before this anchor does, it then wins
+        const requestId = this.anchorRequestId;
+        frame.createAnchor(pose, this.referenceSpace).then(anchor => {
+            if (requestId !== this.anchorRequestId || !this.session) {
+                anchor.delete();
+                return;
+            }
+            
+            this.releaseXRAnchor();
+            this.xrAnchor = anchor;
+            this.debug.log("AR content locked to a WebXR anchor");
+            this.setAnchorTracked(true);
+        }).catch(error => {
+            if (requestId !== this.anchorRequestId) return;
+            
+            this.debug.warn("Could not create WebXR anchor, keeping content in place without it:", error);
+        });
+    }
+    
+    releaseXRAnchor() {
+        if (this.xrAnchor) {
+            this.xrAnchor.delete();
+            this.xrAnchor = null;
+        }
+    }
+    
+    // Follow the anchor as tracking refines it, reporting when it is lost and found
+    updateXRAnchor(frame) {
+        if (this.anchorRequest) {
+            this.createXRAnchor(frame);
+        }
+        if (!this.xrAnchor) return;
+        
+        if (frame.trackedAnchors && !frame.trackedAnchors.has(this.xrAnchor)) {
+            // The system stopped tracking the anchor for good; content stays where
+            // it was and a fresh anchor is requested there
+            this.debug.warn("WebXR anchor is no longer tracked, requesting a new one");
+            this.setAnchorTracked(false);
+            this.requestXRAnchor();
+            return;
+        }
+        
+        const pose = frame.getPose(this.xrAnchor.anchorSpace, this.referenceSpace);
+        if (pose) {
+            const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+            matrix.decompose(this.arAnchor.position, this.arAnchor.quaternion, new THREE.Vector3());
+        }
+        this.setAnchorTracked(Boolean(pose));
+    }
+    
+    setAnchorTracked(tracked) {
+        if (tracked === this.anchorTracked) return;
+        this.anchorTracked = tracked;
+        
+        this.debug.log(tracked ? "AR anchor tracking restored" : "AR anchor tracking lost");
+        document.dispatchEvent(new CustomEvent(tracked ? 'ar-anchor-restored' : 'ar-anchor-lost'));
+    }
+    
+    // Handle a screen tap at the current hit test result. Tap handlers get the
+    // hit position first and return true to consume the tap; otherwise the
+    // content is placed, unless it already is.
+    handleTap() {
+        if (!this.lastHitPoseMatrix) return false;
+        
+        const position = new THREE.Vector3().setFromMatrixPosition(this.lastHitPoseMatrix);
+        for (const handler of [...this.tapHandlers]) {
+            if (handler(position, this.lastHitPoseMatrix)) return true;
+        }
+        
+        if (this.arAnchor?.userData.placed) return false;
+        if (!this.placementAllowed) {
+            this.debug.log("Not placing content, the surface is too small or not level");
+            return false;
+        }
+        
+        this.placeARContent(position);
+        return true;
+    }
+    
+    addTapHandler(handler) {
+        if (!this.tapHandlers.includes(handler)) {
+            this.tapHandlers.push(handler);
+        }
+    }
+    
+    removeTapHandler(handler) {
+        const index = this.tapHandlers.indexOf(handler);
+        if (index !== -1) {
+            this.tapHandlers.splice(index, 1);
+        }
+    }
+    
     render(timestamp, frame) {
         if (!frame) {
             this.debug.warn("No XR frame available");
@@ -387,6 +691,19 @@ export class ARScene {
                 this.camera.matrix.copy(viewMatrix);
                 this.camera.matrix.decompose(this.camera.position, this.camera.quaternion, this.camera.scale);
 
+                // Project like the device camera, so real-world depth lines up with the scene
+                this.camera.projectionMatrix.fromArray(view.projectionMatrix);
+                this.camera.projectionMatrixInverse.copy(this.camera.projectionMatrix).invert();
+
+                this.lightEstimator.update(frame, this.referenceSpace);
+
+                // Show detected surfaces while there is something to place
+                const placing = !this.arAnchor?.userData.placed || this.movingContent;
+                if (this.planeTracker) {
+                    this.planeTracker.update(frame, this.referenceSpace);
+                    this.planeTracker.setVisible(placing);
+                }
+
                 // Detect surfaces via hit test if supported
                 if (this.hitTestSource) {
                     const hitTestResults = frame.getHitTestResults(this.hitTestSource);
@@ -398,6 +715,10 @@ export class ARScene {
                         if (hitPose) {
                             // Extract full transform matrix from hit pose
                             this.lastHitPoseMatrix = new THREE.Matrix4().fromArray(hitPose.transform.matrix);
+                            this.placementAllowed = !this.planeTracker || this.planeTracker.accepts(this.lastHitPoseMatrix);
+                            if (placing) {
+                                this.setPlacementState(this.placementAllowed ? 'ready' : 'unsuitable');
+                            }
 
                             // Update placement indicator position and orientation
                             if (this.placementIndicator && !this.arAnchor?.userData.placed) {
@@ -414,6 +735,7 @@ export class ARScene {
                                 this.placementIndicator.quaternion.setFromEuler(euler);
                                 
                                 this.placementIndicator.visible = true;
+                                this.placementIndicator.material.color.setHex(this.placementAllowed ? 0x00ffff : 0xff6644);
                                 
                                 // Animate scale
                                 this.placementIndicator.userData.animTime += this.deltaTime;
@@ -425,7 +747,7 @@ export class ARScene {
                             if (session.inputSources) {
                                 for (const source of session.inputSources) {
                                     const gamepad = source.gamepad;
-                                    if (gamepad?.buttons[0]?.pressed) {
+                                    if (gamepad?.buttons[0]?.pressed && this.placementAllowed) {
                                         // Extract both position and orientation for placement
                                         const position = new THREE.Vector3().setFromMatrixPosition(this.lastHitPoseMatrix);
                                         const orientation = new THREE.Quaternion().setFromRotationMatrix(this.lastHitPoseMatrix);
@@ -435,14 +757,32 @@ export class ARScene {
                             }
                         }
                     } else {
-                        // No hit results found
+                        // No hit results found, the placement hint asks to keep scanning
                         if (this.placementIndicator) {
                             this.placementIndicator.visible = false;
                         }
-                        this.debug.log("No surfaces detected, please scan the environment");
+                        this.placementAllowed = false;
+                        if (placing) {
+                            this.setPlacementState('scanning');
+                        }
                     }
                 }
 
+                // Hit test under the finger, e.g. while dragging content
+                if (this.transientHitTestSource) {
+                    const touch = frame.getHitTestResultsForTransientInput(this.transientHitTestSource)
+                        .find(result => result.results.length > 0);
+                    const touchPose = touch?.results[0].getPose(this.referenceSpace);
+                    this.lastTouchHitPoseMatrix = touchPose
+                        ? new THREE.Matrix4().fromArray(touchPose.transform.matrix)
+                        : null;
+                }
+
+                if (this.arAnchor?.userData.placed) {
+                    this.updateXRAnchor(frame);
+                }
+                this.shadowCatcher.update(this.deltaTime);
+
                 // Run update callbacks
                 for (const callback of this.onUpdateCallbacks) {
                     callback(this.deltaTime, frame, this.referenceSpace);
@@ -452,6 +792,7 @@ export class ARScene {
                 const baseLayer = session.renderState.baseLayer;
                 const viewport = baseLayer.getViewport(view);
                 this.renderer.setViewport(viewport.x, viewport.y, viewport.width, viewport.height);
+                this.depthOcclusion.update(frame, view, viewport);
 
                 // Render the scene
                 this.renderer.render(this.scene, this.camera);
@@ -493,9 +834,28 @@ export class ARScene {
         } else {
             this.scene.add(object);
         }
+        this.applyEnvironmentMap(object);
         this.objects.push(object);
         return object;
     }
+    
+    // Reflections of the real surroundings, e.g. from light estimation. Only
+    // materials that opt in with userData.reflective pick them up.
+    setEnvironmentMap(texture) {
+        this.environmentMap = texture;
+        this.scene.environment = texture;
+        this.applyEnvironmentMap(this.scene);
+    }
+    
+    applyEnvironmentMap(root) {
+        root.traverse(object => {
+            const material = object.material;
+            if (material?.userData.reflective && material.envMap !== this.environmentMap) {
+                material.envMap = this.environmentMap;
+                material.needsUpdate = true;
+            }
+        });
+    }
 
     removeObject(object) {
         if (this.arAnchor && object.parent === this.arAnchor) {
@@ -510,6 +870,19 @@ export class ARScene {
         }
     }
 
+    // Remove an object and free the geometries and materials of it and its
+    // children. Only for objects that don't share them with anything still shown.
+    disposeObject(object) {
+        this.removeObject(object);
+        object.traverse(child => {
+            child.geometry?.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            for (const material of materials) {
+                material?.dispose();
+            }
+        });
+    }
+
     addUpdateCallback(callback) {
         this.onUpdateCallbacks.push(callback);
     }
@@ -0,0 +1,323 @@
+import * as THREE from 'three';
+
+// Sound effects as notes: oscillator type, start and end frequency (Hz),
+// peak gain and length (s). A note with an `at` offset starts that much later.
+// Each theme picks one of these sets.
+const SOUND_SETS = {
+    synth: {
+        paddle: [{ type: 'sine', from: 440, to: 880, gain: 0.2, length: 0.1 }],
+        wall: [{ type: 'square', from: 220, to: 220, gain: 0.05, length: 0.05 }],
+        score: [{ type: 'sawtooth', from: 660, to: 330, gain: 0.2, length: 0.3 }],
+        launch: [{ type: 'triangle', from: 220, to: 440, gain: 0.1, length: 0.2 }],
+        pickup: [
+            { type: 'sine', from: 660, to: 990, gain: 0.12, length: 0.1 },
+            { type: 'sine', from: 990, to: 1320, gain: 0.12, length: 0.15, at: 0.1 }
+        ],
+        shield: [{ type: 'triangle', from: 880, to: 220, gain: 0.15, length: 0.25 }],
+        win: [
+            { type: 'sine', from: 440, to: 440, gain: 0.1, length: 0.2 },
+            { type: 'sine', from: 550, to: 550, gain: 0.1, length: 0.2, at: 0.2 },
+            { type: 'sine', from: 660, to: 660, gain: 0.1, length: 0.2, at: 0.4 },
+            { type: 'triangle', from: 220, to: 220, gain: 0.05, length: 0.2 },
+            { type: 'triangle', from: 275, to: 275, gain: 0.05, length: 0.2, at: 0.2 },
+            { type: 'triangle', from: 330, to: 330, gain: 0.05, length: 0.2, at: 0.4 }
+        ]
+    },
+    // Flat square wave beeps like the arcade original
+    retro: {
+        paddle: [{ type: 'square', from: 480, to: 480, gain: 0.08, length: 0.06 }],
+        wall: [{ type: 'square', from: 240, to: 240, gain: 0.06, length: 0.04 }],
+        score: [{ type: 'square', from: 490, to: 490, gain: 0.08, length: 0.25 }],
+        launch: [{ type: 'square', from: 960, to: 960, gain: 0.04, length: 0.05 }],
+        pickup: [
+            { type: 'square', from: 720, to: 720, gain: 0.05, length: 0.06 },
+            { type: 'square', from: 960, to: 960, gain: 0.05, length: 0.08, at: 0.07 }
+        ],
+        shield: [{ type: 'square', from: 320, to: 320, gain: 0.07, length: 0.12 }],
+        win: [
+            { type: 'square', from: 480, to: 480, gain: 0.06, length: 0.1 },
+            { type: 'square', from: 480, to: 480, gain: 0.06, length: 0.1, at: 0.15 },
+            { type: 'square', from: 960, to: 960, gain: 0.06, length: 0.3, at: 0.3 }
+        ]
+    },
+    // Short, quickly falling knocks of a ball on wood
+    wood: {
+        paddle: [
+            { type: 'triangle', from: 1200, to: 500, gain: 0.25, length: 0.04 },
+            { type: 'sine', from: 300, to: 200, gain: 0.1, length: 0.06 }
+        ],
+        wall: [{ type: 'triangle', from: 900, to: 400, gain: 0.12, length: 0.03 }],
+        score: [{ type: 'sine', from: 520, to: 390, gain: 0.15, length: 0.35 }],
+        launch: [{ type: 'triangle', from: 1000, to: 600, gain: 0.12, length: 0.03 }],
+        pickup: [
+            { type: 'sine', from: 1046, to: 1046, gain: 0.1, length: 0.15 },
+            { type: 'sine', from: 1568, to: 1568, gain: 0.08, length: 0.2, at: 0.08 }
+        ],
+        shield: [{ type: 'triangle', from: 700, to: 300, gain: 0.18, length: 0.06 }],
+        win: [
+            { type: 'sine', from: 523, to: 523, gain: 0.1, length: 0.25 },
+            { type: 'sine', from: 659, to: 659, gain: 0.1, length: 0.25, at: 0.15 },
+            { type: 'sine', from: 784, to: 784, gain: 0.1, length: 0.4, at: 0.3 }
+        ]
+    }
+};
+
+// Background loop: one chord per bar as root notes (MIDI), a bass note and
+// an arpeggio of the minor or major triad above it, eighth notes at 112 bpm
+const MUSIC_CHORDS = [
+    { root: 57, minor: true },  // A minor
+    { root: 53, minor: false }, // F major
+    { root: 48, minor: false }, // C major
+    { root: 55, minor: false }  // G major
+];
+const MUSIC_STEP = 60 / 112 / 2;
+const MUSIC_STEPS_PER_CHORD = 8;
+
+// How far ahead music notes are scheduled, and how often the scheduler runs
+const MUSIC_LOOKAHEAD = 0.25;
+const MUSIC_SCHEDULE_INTERVAL = 100;
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Procedural game audio. Effects and music run through their own gain into
+// a master gain, so each can be turned down separately and muting silences
+// everything at once. Effects played with a world position go through a
+// PannerNode and are heard from where they happen, relative to the listener
+// (the AR camera) set each frame with updateListener().
+export class AudioEngine {
+    constructor(debug) {
+        this.debug = debug;
+        this.context = null;
+        this.volumes = { master: 1, music: 0.5, sfx: 1 };
+        this.muted = false;
+        this.sounds = SOUND_SETS.synth;
+
+        // Set by suspend(); sounds are dropped rather than waking the context
+        this.paused = false;
+
+        // Background music scheduler state
+        this.musicEnabled = false;
+        this.musicTimer = null;
+        this.musicStep = 0;
+        this.nextMusicTime = 0;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            this.debug.warn("Web Audio API not supported, playing without sound");
+            return;
+        }
+
+        try {
+            this.context = new AudioContextClass();
+        } catch (error) {
+            this.debug.warn("Could not create an audio context:", error);
+            return;
+        }
+
+        this.masterGain = this.context.createGain();
+        this.musicGain = this.context.createGain();
+        this.sfxGain = this.context.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain.connect(this.masterGain);
+        this.masterGain.connect(this.context.destination);
+        this.applyVolumes();
+    }
+
+    setVolumes(volumes) {
+        Object.assign(this.volumes, volumes);
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        // Ramp briefly so volume changes don't click
+        const time = this.context.currentTime;
+        this.masterGain.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, time, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.volumes.music, time, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, time, 0.02);
+    }
+
+    setSoundSet(id) {
+        this.sounds = SOUND_SETS[id] || SOUND_SETS.synth;
+    }
+
+    // Place the listener at a world matrix, e.g. the viewer pose
+    updateListener(matrix) {
+        if (!this.context) return;
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+
+        const listener = this.context.listener;
+        if (listener.positionX) {
+            const time = this.context.currentTime;
+            listener.positionX.setValueAtTime(position.x, time);
+            listener.positionY.setValueAtTime(position.y, time);
+            listener.positionZ.setValueAtTime(position.z, time);
+            listener.forwardX.setValueAtTime(forward.x, time);
+            listener.forwardY.setValueAtTime(forward.y, time);
+            listener.forwardZ.setValueAtTime(forward.z, time);
+            listener.upX.setValueAtTime(up.x, time);
+            listener.upY.setValueAtTime(up.y, time);
+            listener.upZ.setValueAtTime(up.z, time);
+        } else {
+            // Older implementations only have the setters
+            listener.setPosition(position.x, position.y, position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    // Play a sound effect. `position` (world space) places it in 3D, and
+    // `intensity` from 0 to 1, e.g. how hard a ball was hit, raises its
+    // pitch and volume; 0.5 plays it as designed.
+    play(type, { position = null, intensity = 0.5 } = {}) {
+        const notes = this.sounds[type];
+        if (!this.context || !notes || this.context.state === 'closed' || this.paused) return;
+
+        try {
+            // Browsers start audio suspended until the page has been interacted with
+            this.resume();
+
+            let output = this.sfxGain;
+            if (position) {
+                output = this.createPanner(position);
+                output.connect(this.sfxGain);
+            }
+
+            intensity = THREE.MathUtils.clamp(intensity, 0, 1);
+            const pitch = 0.8 + intensity * 0.4;
+            const volume = 0.5 + intensity;
+
+            const now = this.context.currentTime;
+            for (const note of notes) {
+                this.playNote(note, now + (note.at || 0), pitch, volume, output);
+            }
+        } catch (error) {
+            this.debug.warn(`Error playing sound: ${error.message}`);
+        }
+    }
+
+    playNote(note, start, pitch, volume, output) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.connect(gain);
+        gain.connect(output);
+
+        const end = start + note.length;
+        oscillator.type = note.type;
+        oscillator.frequency.setValueAtTime(note.from * pitch, start);
+        if (note.to !== note.from) {
+            oscillator.frequency.exponentialRampToValueAtTime(note.to * pitch, end);
+        }
+        gain.gain.setValueAtTime(note.gain * volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.01 * volume, end);
+
+        oscillator.start(start);
+        oscillator.stop(end);
+    }
+
+    createPanner(position) {
+        const panner = this.context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 0.5;
+        panner.rolloffFactor = 1;
+
+        if (panner.positionX) {
+            const time = this.context.currentTime;
+            panner.positionX.setValueAtTime(position.x, time);
+            panner.positionY.setValueAtTime(position.y, time);
+            panner.positionZ.setValueAtTime(position.z, time);
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+        return panner;
+    }
+
+    setMusicEnabled(enabled) {
+        if (enabled === this.musicEnabled) return;
+        this.musicEnabled = enabled;
+
+        if (enabled) {
+            this.startMusic();
+        } else {
+            this.stopMusic();
+        }
+    }
+
+    startMusic() {
+        if (!this.context || this.musicTimer) return;
+
+        this.nextMusicTime = this.context.currentTime + 0.1;
+        this.musicTimer = setInterval(() => this.scheduleMusic(), MUSIC_SCHEDULE_INTERVAL);
+        this.scheduleMusic();
+    }
+
+    stopMusic() {
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+    }
+
+    // Queue the notes falling within the lookahead, so timing doesn't depend
+    // on when the interval fires
+    scheduleMusic() {
+        if (this.context.state !== 'running') {
+            // Catch up from now instead of queueing every missed note
+            this.nextMusicTime = Math.max(this.nextMusicTime, this.context.currentTime);
+            return;
+        }
+
+        while (this.nextMusicTime < this.context.currentTime + MUSIC_LOOKAHEAD) {
+            const step = this.musicStep % MUSIC_STEPS_PER_CHORD;
+            const chord = MUSIC_CHORDS[Math.floor(this.musicStep / MUSIC_STEPS_PER_CHORD) % MUSIC_CHORDS.length];
+            const triad = [0, chord.minor ? 3 : 4, 7, 12];
+
+            if (step % 4 === 0) {
+                const bass = midiToFrequency(chord.root - 12);
+                this.playMusicNote('triangle', bass, 0.12, MUSIC_STEP * 3.5);
+            }
+            const arpeggio = midiToFrequency(chord.root + 12 + triad[step % triad.length]);
+            this.playMusicNote('sine', arpeggio, 0.05, MUSIC_STEP * 0.9);
+
+            this.nextMusicTime += MUSIC_STEP;
+            this.musicStep++;
+        }
+    }
+
+    playMusicNote(type, frequency, gain, length) {
+        const note = { type, from: frequency, to: frequency, gain, length };
+        this.playNote(note, this.nextMusicTime, 1, 1, this.musicGain);
+    }
+
+    suspend() {
+        this.paused = true;
+        if (this.context?.state === 'running') {
+            this.context.suspend().catch(error => this.debug.warn("Could not suspend audio:", error));
+        }
+    }
+
+    resume() {
+        this.paused = false;
+        if (this.context?.state === 'suspended') {
+            this.context.resume().catch(error => this.debug.warn("Could not resume audio:", error));
+        }
+    }
+
+    dispose() {
+        this.stopMusic();
+        if (this.context && this.context.state !== 'closed') {
+            this.context.close().catch(error => this.debug.warn("Could not close audio:", error));
+        }
+    }
+}
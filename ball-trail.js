@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+// Most recent ball positions the ribbon is drawn through
+const MAX_SAMPLES = 32;
+
+// Seconds a position stays on the trail, and the distance (m) the ball moves
+// before a new one is taken
+const TRAIL_DURATION = 0.25;
+const SAMPLE_SPACING = 0.01;
+
+// A jump this long (m) between frames is the ball being put back for a serve,
+// not movement, and starts the trail over
+const TELEPORT_DISTANCE = 0.2;
+
+// Spin (rad/s) that tints the trail fully
+const FULL_SPIN = 30;
+
+// Ribbon through the ball's recent positions, in the space of whatever it is
+// added to (the placed content's anchor), turned to face the viewer. It
+// narrows and fades towards its tail. Faster balls leave wider and brighter
+// trails, and spin shifts the trail's hue.
+export class BallTrail {
+    constructor(style) {
+        this.samples = [];
+        this.time = 0;
+        this.baseColor = new THREE.Color();
+
+        const geometry = new THREE.BufferGeometry();
+        this.positions = new THREE.BufferAttribute(new Float32Array((MAX_SAMPLES + 1) * 2 * 3), 3);
+        this.colors = new THREE.BufferAttribute(new Float32Array((MAX_SAMPLES + 1) * 2 * 4), 4);
+        this.positions.setUsage(THREE.DynamicDrawUsage);
+        this.colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', this.positions);
+        geometry.setAttribute('color', this.colors);
+
+        // Two triangles between each pair of points along the ribbon
+        const indices = [];
+        for (let i = 0; i < MAX_SAMPLES; i++) {
+            const a = i * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
+        geometry.setIndex(indices);
+        geometry.setDrawRange(0, 0);
+
+        this.material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.mesh.name = 'ball-trail';
+
+        // The ribbon is rebuilt every frame wherever the ball went
+        this.mesh.frustumCulled = false;
+
+        this.setStyle(style);
+    }
+
+    // Color, width (m), opacity and blending, from a theme's trail style
+    setStyle(style) {
+        this.baseColor.set(style.color);
+        this.width = style.width;
+        this.material.opacity = style.opacity;
+        this.material.blending = style.additive ? THREE.AdditiveBlending : THREE.NormalBlending;
+        this.material.needsUpdate = true;
+    }
+
+    // Forget the ball's path, e.g. after it was served again
+    reset() {
+        this.samples.length = 0;
+        this.mesh.geometry.setDrawRange(0, 0);
+    }
+
+    // `position` is the ball's position in the trail's parent space, `speed`
+    // its speed from 0 to 1, `spin` its spin rate (rad/s) and `viewPosition`
+    // the viewer's world position
+    update(deltaTime, position, { speed = 0, spin = 0 } = {}, viewPosition) {
+        this.time += deltaTime;
+
+        const newest = this.samples[0];
+        if (newest && newest.position.distanceTo(position) > TELEPORT_DISTANCE) {
+            this.reset();
+        }
+
+        if (!this.samples[0] || this.samples[0].position.distanceTo(position) >= SAMPLE_SPACING) {
+            this.samples.unshift(this.createSample(position, speed, spin));
+            if (this.samples.length > MAX_SAMPLES) {
+                this.samples.pop();
+            }
+        }
+
+        while (this.samples.length > 0 && this.time - this.samples[this.samples.length - 1].time > TRAIL_DURATION) {
+            this.samples.pop();
+        }
+
+        this.rebuild(position, this.createSample(position, speed, spin), viewPosition);
+    }
+
+    createSample(position, speed, spin) {
+        speed = THREE.MathUtils.clamp(speed, 0, 1);
+        const spinAmount = THREE.MathUtils.clamp(spin / FULL_SPIN, 0, 1);
+
+        const color = this.baseColor.clone().lerp(new THREE.Color(0xffffff), speed * 0.4);
+        color.offsetHSL(spinAmount * 0.25, 0, 0);
+
+        return {
+            position: position.clone(),
+            time: this.time,
+            width: this.width * (0.4 + speed) * (1 + spinAmount * 0.5),
+            color
+        };
+    }
+
+    // Lay out the ribbon from the ball back along its samples
+    rebuild(position, head, viewPosition) {
+        const points = [head, ...this.samples.filter(sample => sample.position.distanceToSquared(position) > 0)];
+        if (points.length < 2) {
+            this.mesh.geometry.setDrawRange(0, 0);
+            return;
+        }
+
+        const view = this.mesh.parent ? this.mesh.parent.worldToLocal(viewPosition.clone()) : viewPosition;
+        const tangent = new THREE.Vector3();
+        const toView = new THREE.Vector3();
+        const side = new THREE.Vector3();
+
+        for (let i = 0; i < points.length; i++) {
+            const point = points[i];
+            const before = points[Math.max(i - 1, 0)].position;
+            const after = points[Math.min(i + 1, points.length - 1)].position;
+
+            // Across the path, facing the viewer
+            tangent.subVectors(before, after);
+            toView.subVectors(view, point.position);
+            side.crossVectors(tangent, toView).normalize();
+
+            const fade = 1 - Math.min((this.time - point.time) / TRAIL_DURATION, 1);
+            side.multiplyScalar(point.width * fade / 2);
+
+            const a = i * 2;
+            this.positions.setXYZ(a, point.position.x + side.x, point.position.y + side.y, point.position.z + side.z);
+            this.positions.setXYZ(a + 1, point.position.x - side.x, point.position.y - side.y, point.position.z - side.z);
+            this.colors.setXYZW(a, point.color.r, point.color.g, point.color.b, fade);
+            this.colors.setXYZW(a + 1, point.color.r, point.color.g, point.color.b, fade);
+        }
+
+        this.positions.needsUpdate = true;
+        this.colors.needsUpdate = true;
+        this.mesh.geometry.setDrawRange(0, (points.length - 1) * 6);
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+    }
+}
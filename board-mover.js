@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+// Limits for pinch scaling the placed content
+const MIN_SCALE = 0.4;
+const MAX_SCALE = 2.5;
+
+// "Move board" mode for placed AR content. While active, one finger drags
+// the content to the surface under it (hit test), two fingers twist to turn
+// it around Y and pinch to scale it. Paddle input and tap placement are held
+// off, and 'ar-content-moved' is dispatched after each gesture.
+export class BoardMover {
+    constructor(arScene, debug) {
+        this.arScene = arScene;
+        this.debug = debug;
+        this.active = false;
+
+        // Active pointers by pointerId, in screen pixels
+        this.pointers = new Map();
+        this.twist = null;
+        this.moved = false;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onTap = () => this.active;
+    }
+
+    setActive(active) {
+        if (active === this.active) return;
+        if (active && !this.arScene.arAnchor?.userData.placed) return;
+
+        this.active = active;
+        this.arScene.movingContent = active;
+
+        if (active) {
+            window.addEventListener('pointerdown', this.onPointerDown);
+            window.addEventListener('pointermove', this.onPointerMove);
+            window.addEventListener('pointerup', this.onPointerUp);
+            window.addEventListener('pointercancel', this.onPointerUp);
+            this.arScene.addTapHandler(this.onTap);
+        } else {
+            window.removeEventListener('pointerdown', this.onPointerDown);
+            window.removeEventListener('pointermove', this.onPointerMove);
+            window.removeEventListener('pointerup', this.onPointerUp);
+            window.removeEventListener('pointercancel', this.onPointerUp);
+            this.arScene.removeTapHandler(this.onTap);
+            this.endGesture();
+        }
+
+        this.debug.log(active ? "Move board mode on" : "Move board mode off");
+    }
+
+    onPointerDown(event) {
+        // Buttons and panels in the overlay keep working
+        if (event.target.closest?.('button, input, select, label, .settings-panel')) return;
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.startTwist();
+    }
+
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (this.pointers.size === 1) {
+            this.drag();
+        } else {
+            this.twistAndPinch();
+        }
+    }
+
+    onPointerUp(event) {
+        if (!this.pointers.delete(event.pointerId)) return;
+
+        if (this.pointers.size === 0) {
+            this.endGesture();
+        } else {
+            this.startTwist();
+        }
+    }
+
+    // Remember where a two finger gesture started, relative to the content
+    startTwist() {
+        const anchor = this.arScene.arAnchor;
+        const touches = Array.from(this.pointers.values());
+        if (touches.length < 2 || !anchor) {
+            this.twist = null;
+            return;
+        }
+
+        const [a, b] = touches;
+        this.twist = {
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+            rotation: new THREE.Euler().setFromQuaternion(anchor.quaternion, 'YXZ').y,
+            scale: anchor.scale.x
+        };
+    }
+
+    // Follow the finger's hit test, or the centre of the screen without touch hit testing
+    drag() {
+        const matrix = this.arScene.lastTouchHitPoseMatrix || this.arScene.lastHitPoseMatrix;
+        if (!matrix) return;
+
+        this.beginMove();
+        this.arScene.arAnchor.position.setFromMatrixPosition(matrix);
+    }
+
+    twistAndPinch() {
+        const anchor = this.arScene.arAnchor;
+        if (!this.twist || !anchor) return;
+
+        const [a, b] = Array.from(this.pointers.values());
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        this.beginMove();
+
+        // Screen y points down, so a clockwise twist grows the angle and
+        // turns the board clockwise seen from above
+        anchor.quaternion.setFromEuler(new THREE.Euler(0, this.twist.rotation - (angle - this.twist.angle), 0, 'YXZ'));
+
+        const scale = THREE.MathUtils.clamp(this.twist.scale * distance / this.twist.distance, MIN_SCALE, MAX_SCALE);
+        anchor.scale.setScalar(scale);
+    }
+
+    beginMove() {
+        if (this.moved) return;
+        this.moved = true;
+
+        // The anchor would hold the content in place while it is moved, and one
+        // still pending from the last placement would snap it back; endGesture
+        // anchors the content again
+        this.arScene.releaseXRAnchor();
+        this.arScene.cancelAnchorRequest();
+    }
+
+    endGesture() {
+        this.pointers.clear();
+        this.twist = null;
+
+        if (!this.moved) return;
+        this.moved = false;
+
+        const anchor = this.arScene.arAnchor;
+        this.arScene.requestXRAnchor();
+
+        const { x, y, z } = anchor.position;
+        this.debug.log(`Board moved to ${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)} at scale ${anchor.scale.x.toFixed(2)}`);
+        document.dispatchEvent(new CustomEvent('ar-content-moved'));
+    }
+
+    dispose() {
+        this.setActive(false);
+    }
+}
@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+
+// Session features for depth sensing, merged into the session request by
+// experiences that want occlusion
+export function getDepthSensingSessionInit() {
+    return {
+        optionalFeatures: ['depth-sensing'],
+        depthSensing: {
+            usagePreference: ['gpu-optimized', 'cpu-optimized'],
+            dataFormatPreference: ['luminance-alpha', 'float32']
+        }
+    };
+}
+
+const vertexShader = /* glsl */`
+    void main() {
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Writes the real world's depth into the depth buffer so virtual objects
+// behind it fail the depth test. Depth arrives either packed as luminance
+// and alpha bytes or as floats, in raw units scaled by rawValueToMeters.
+const fragmentShader = /* glsl */`
+    uniform sampler2D depthTexture;
+    uniform mat4 uvTransform;
+    uniform float rawValueToMeters;
+    uniform vec4 viewport;
+    uniform mat4 projection;
+    uniform bool packedDepth;
+
+    void main() {
+        // Normalized view coordinates start at the top left
+        vec2 coord = (gl_FragCoord.xy - viewport.xy) / viewport.zw;
+        coord.y = 1.0 - coord.y;
+        vec2 depthUV = (uvTransform * vec4(coord, 0.0, 1.0)).xy;
+
+        vec4 texel = texture2D(depthTexture, depthUV);
+        float raw = packedDepth ? dot(texel.ra, vec2(255.0, 256.0 * 255.0)) : texel.r;
+        float meters = raw * rawValueToMeters;
+
+        // No reading for this pixel, leave the scene unoccluded
+        if (meters <= 0.0) discard;
+
+        // Project the metric depth the same way the camera projects the scene
+        vec4 clip = projection * vec4(0.0, 0.0, -meters, 1.0);
+        gl_FragDepth = clamp(clip.z / clip.w * 0.5 + 0.5, 0.0, 1.0);
+        gl_FragColor = vec4(0.0);
+    }
+`;
+
+// Depth based occlusion for AR sessions with depth sensing. A screen-filling
+// quad drawn before the scene writes the real world's depth, taken from the
+// GPU depth texture or uploaded from the CPU depth buffer each frame. When
+// the device has no depth sensing this does nothing.
+export class DepthOcclusion {
+    constructor(arScene, debug) {
+        this.arScene = arScene;
+        this.debug = debug;
+        this.enabled = true;
+        this.usage = null;
+        this.glBinding = null;
+        this.cpuTexture = null;
+        this.cpuData = null;
+
+        this.gpuTexture = new THREE.Texture();
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                depthTexture: { value: null },
+                uvTransform: { value: new THREE.Matrix4() },
+                rawValueToMeters: { value: 0 },
+                viewport: { value: new THREE.Vector4() },
+                projection: { value: new THREE.Matrix4() },
+                packedDepth: { value: true }
+            },
+            extensions: { fragDepth: true },
+            colorWrite: false,
+            depthWrite: true,
+            depthTest: true,
+            depthFunc: THREE.AlwaysDepth
+        });
+
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.mesh.frustumCulled = false;
+        this.mesh.renderOrder = -Infinity;
+        this.mesh.visible = false;
+        this.mesh.name = 'depth-occlusion';
+    }
+
+    start(session) {
+        this.usage = null;
+        const usage = session.depthUsage || null;
+        if (!usage) {
+            this.debug.log("Depth sensing not available, virtual objects are drawn over real ones");
+            return false;
+        }
+
+        // Only counts as started once the binding exists, should creating it throw
+        if (usage === 'gpu-optimized') {
+            this.glBinding = new XRWebGLBinding(session, this.arScene.gl);
+        }
+        this.usage = usage;
+        this.material.uniforms.packedDepth.value = session.depthDataFormat === 'luminance-alpha';
+
+        this.arScene.scene.add(this.mesh);
+        this.debug.log(`Depth occlusion started (${this.usage}, ${session.depthDataFormat})`);
+        return true;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.mesh.visible = false;
+        }
+    }
+
+    // `viewport` is the XR viewport the scene is rendered into
+    update(frame, view, viewport) {
+        if (!this.usage || !this.enabled) return;
+
+        let depth = null;
+        try {
+            depth = this.usage === 'gpu-optimized'
+                ? this.glBinding.getDepthInformation(view)
+                : frame.getDepthInformation(view);
+        } catch (error) {
+            // Depth can be briefly unavailable, e.g. while tracking starts
+            depth = null;
+        }
+
+        this.mesh.visible = Boolean(depth);
+        if (!depth) return;
+
+        const uniforms = this.material.uniforms;
+        uniforms.uvTransform.value.fromArray(depth.normDepthBufferFromNormView.matrix);
+        uniforms.viewport.value.set(viewport.x, viewport.y, viewport.width, viewport.height);
+        uniforms.projection.value.copy(this.arScene.camera.projectionMatrix);
+
+        if (this.usage === 'gpu-optimized') {
+            // The depth texture belongs to the XR system; three just samples it
+            const properties = this.arScene.renderer.properties.get(this.gpuTexture);
+            properties.__webglTexture = depth.texture;
+            properties.__webglInit = true;
+            uniforms.depthTexture.value = this.gpuTexture;
+            uniforms.rawValueToMeters.value = depth.rawValueToMeters;
+        } else {
+            this.uploadCPUDepth(depth);
+            uniforms.depthTexture.value = this.cpuTexture;
+            uniforms.rawValueToMeters.value = 1;
+            uniforms.packedDepth.value = false;
+        }
+    }
+
+    // Convert the CPU buffer to meters so both data formats upload the same way
+    uploadCPUDepth(depth) {
+        const { width, height } = depth;
+        if (!this.cpuTexture || this.cpuTexture.image.width !== width || this.cpuTexture.image.height !== height) {
+            this.cpuTexture?.dispose();
+            this.cpuData = new Float32Array(width * height);
+            this.cpuTexture = new THREE.DataTexture(this.cpuData, width, height, THREE.RedFormat, THREE.FloatType);
+        }
+
+        const raw = this.arScene.session.depthDataFormat === 'float32'
+            ? new Float32Array(depth.data)
+            : new Uint16Array(depth.data);
+        for (let i = 0; i < this.cpuData.length; i++) {
+            this.cpuData[i] = raw[i] * depth.rawValueToMeters;
+        }
+        this.cpuTexture.needsUpdate = true;
+    }
+
+    stop() {
+        if (this.usage === 'gpu-optimized') {
+            // Forget the texture without deleting it, it belongs to the XR system
+            this.arScene.renderer.properties.remove(this.gpuTexture);
+        }
+        this.arScene.scene.remove(this.mesh);
+        this.mesh.visible = false;
+        this.usage = null;
+        this.glBinding = null;
+
+        if (this.cpuTexture) {
+            this.cpuTexture.dispose();
+            this.cpuTexture = null;
+            this.cpuData = null;
+        }
+    }
+}
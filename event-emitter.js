@@ -0,0 +1,45 @@
+// Minimal DOM-free event emitter for modules that must also run outside the browser
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+
+        // Return an unsubscribe function for convenience
+        return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+        const off = this.on(type, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    emit(type, payload) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        // Copy so listeners can unsubscribe while being notified
+        for (const listener of Array.from(listeners)) {
+            listener(payload);
+        }
+    }
+
+    removeAllListeners() {
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,118 @@
+// Combine several session requests, joining their feature lists
+export function mergeSessionInit(...inits) {
+    const merged = {};
+    for (const init of inits) {
+        for (const [key, value] of Object.entries(init || {})) {
+            merged[key] = key.endsWith('Features')
+                ? [...new Set([...(merged[key] || []), ...value])]
+                : value;
+        }
+    }
+    return merged;
+}
+
+// Lifecycle methods every experience instance must implement
+const LIFECYCLE_METHODS = ['initialize', 'pause', 'resume', 'dispose'];
+
+// Registry of AR experiences that can be launched from the landing page.
+// Experience modules register themselves when imported, App builds the
+// landing list from the registry and creates experiences through it.
+export class ExperienceRegistry {
+    constructor() {
+        this.experiences = new Map();
+    }
+
+    register(definition) {
+        const { id, title, create } = definition || {};
+
+        if (!id || typeof id !== 'string') {
+            throw new Error("Experience definition requires a string id");
+        }
+        if (!title) {
+            throw new Error(`Experience "${id}" requires a title`);
+        }
+        if (typeof create !== 'function') {
+            throw new Error(`Experience "${id}" requires a create(arScene, debug, options) factory`);
+        }
+        if (this.experiences.has(id)) {
+            throw new Error(`Experience "${id}" is already registered`);
+        }
+
+        this.experiences.set(id, {
+            description: '',
+            thumbnail: null,
+            ...definition
+        });
+
+        return this.experiences.get(id);
+    }
+
+    unregister(id) {
+        return this.experiences.delete(id);
+    }
+
+    has(id) {
+        return this.experiences.has(id);
+    }
+
+    get(id) {
+        return this.experiences.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.experiences.values());
+    }
+
+    // Extra XR session features an experience asks for through its optional
+    // sessionInit(options) hook, merged into the session request by ARScene
+    async getSessionInit(id, options = {}) {
+        const definition = this.get(id);
+        if (!definition || typeof definition.sessionInit !== 'function') {
+            return {};
+        }
+
+        return (await definition.sessionInit(options)) || {};
+    }
+
+    // Floor space an experience needs, { width, depth } in meters, from its
+    // optional placementFootprint(options) hook; null places it anywhere level
+    getPlacementFootprint(id, options = {}) {
+        const definition = this.get(id);
+        if (!definition || typeof definition.placementFootprint !== 'function') {
+            return null;
+        }
+
+        return definition.placementFootprint(options) || null;
+    }
+
+    // Experiences that don't need the camera opt out of the AR session through
+    // an optional usesARSession(options) hook and run in the debug scene instead
+    usesARSession(id, options = {}) {
+        const definition = this.get(id);
+        if (!definition || typeof definition.usesARSession !== 'function') {
+            return true;
+        }
+
+        return definition.usesARSession(options) !== false;
+    }
+
+    create(id, arScene, debug, options = {}) {
+        const definition = this.get(id);
+        if (!definition) {
+            throw new Error(`Unknown experience "${id}"`);
+        }
+
+        const experience = definition.create(arScene, debug, options);
+
+        // Make sure the factory honoured the common lifecycle
+        const missing = LIFECYCLE_METHODS.filter(method => typeof experience?.[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Experience "${id}" is missing lifecycle methods: ${missing.join(', ')}`);
+        }
+
+        return experience;
+    }
+}
+
+// Shared registry used by the app and experience modules
+export const experienceRegistry = new ExperienceRegistry();
@@ -0,0 +1,41 @@
+// Delayed callbacks that run on game time instead of setTimeout. They only
+// advance while the owner calls update(), so they hold still while a game is
+// paused, and clear() drops every pending callback when it is disposed.
+export class GameTimers {
+    constructor() {
+        this.time = 0;
+        this.timers = [];
+    }
+
+    // Run `callback` after `delay` seconds of game time; returns a cancel function
+    schedule(delay, callback) {
+        const timer = { at: this.time + delay, callback };
+        this.timers.push(timer);
+        return () => this.cancel(timer);
+    }
+
+    cancel(timer) {
+        const index = this.timers.indexOf(timer);
+        if (index !== -1) {
+            this.timers.splice(index, 1);
+        }
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        // Callbacks may schedule more timers, those wait for the next update
+        const due = this.timers.filter(timer => timer.at <= this.time);
+        if (due.length === 0) return;
+
+        this.timers = this.timers.filter(timer => timer.at > this.time);
+        due.sort((a, b) => a.at - b.at);
+        for (const timer of due) {
+            timer.callback();
+        }
+    }
+
+    clear() {
+        this.timers = [];
+    }
+}
@@ -0,0 +1,70 @@
+// Vibration patterns in milliseconds (on, off, on, ...) for each kind of
+// feedback, at full strength
+const EFFECTS = {
+    paddle: [40],
+    wall: [15],
+    point: [60, 80, 60],
+    lost: [150],
+    pickup: [30, 40, 30],
+    shield: [50],
+    win: [80, 60, 80, 60, 200]
+};
+
+// Weakest pulse worth sending, controllers barely register less
+const MIN_STRENGTH = 0.15;
+
+// Haptic feedback on phones (navigator.vibrate) and XR controllers
+// (gamepad.hapticActuators). Phones can't vary the strength of a vibration,
+// so weaker feedback vibrates for a shorter time instead; controllers get a
+// single pulse at the given strength lasting the whole pattern.
+export class Haptics {
+    constructor(arScene, debug) {
+        this.arScene = arScene;
+        this.debug = debug;
+        this.enabled = true;
+        this.canVibrate = typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        // Stop anything still buzzing
+        if (!enabled && this.canVibrate) {
+            navigator.vibrate(0);
+        }
+    }
+
+    // `strength` from 0 to 1 scales the effect, e.g. by how hard a ball was hit
+    play(type, strength = 1) {
+        const pattern = EFFECTS[type];
+        if (!this.enabled || !pattern) return;
+
+        strength = Math.min(Math.max(strength, MIN_STRENGTH), 1);
+        const scaled = pattern.map((duration, i) => (i % 2 === 0 ? Math.round(duration * strength) : duration));
+
+        try {
+            if (!this.pulseControllers(strength, pattern) && this.canVibrate) {
+                navigator.vibrate(scaled);
+            }
+        } catch (error) {
+            this.debug.warn("Haptic feedback failed:", error);
+        }
+    }
+
+    // Returns whether any controller took the pulse
+    pulseControllers(strength, pattern) {
+        const inputSources = this.arScene.session?.inputSources;
+        if (!inputSources) return false;
+
+        const duration = pattern.reduce((sum, value) => sum + value, 0);
+        let pulsed = false;
+        for (const inputSource of inputSources) {
+            const actuator = inputSource.gamepad?.hapticActuators?.[0];
+            if (actuator?.pulse) {
+                actuator.pulse(strength, duration);
+                pulsed = true;
+            }
+        }
+        return pulsed;
+    }
+}
@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+// Drives the scene lights from WebXR light estimation: spherical harmonics
+// feed a LightProbe for ambient light, the primary light sets the
+// directional light's direction, color and intensity, and where the device
+// offers one, its reflection cube map becomes the scene's environment map.
+// Until an estimate arrives, or when the device has none, the static lights
+// set up by ARScene stay as they are.
+export class LightEstimator {
+    constructor(arScene, debug) {
+        this.arScene = arScene;
+        this.debug = debug;
+
+        this.lightProbe = new THREE.LightProbe();
+        this.xrLightProbe = null;
+        this.glBinding = null;
+        this.environment = null;
+        this.active = false;
+
+        // Static light settings to return to when estimation stops
+        this.staticLights = null;
+
+        this.onReflectionChange = this.updateReflection.bind(this);
+    }
+
+    async start(session) {
+        if (typeof session.requestLightProbe !== 'function') {
+            this.debug.log("Light estimation not supported, keeping static lights");
+            return false;
+        }
+
+        let xrLightProbe;
+        try {
+            xrLightProbe = await session.requestLightProbe({
+                reflectionFormat: session.preferredReflectionFormat
+            });
+        } catch (error) {
+            this.debug.warn("Could not start light estimation, keeping static lights:", error);
+            return false;
+        }
+
+        // The session may have ended while the probe was on its way
+        if (this.arScene.session !== session) return false;
+        this.xrLightProbe = xrLightProbe;
+
+        if ('XRWebGLBinding' in window) {
+            try {
+                this.setupReflections(session);
+            } catch (error) {
+                this.debug.warn("Could not set up reflections, lighting from the probe only:", error);
+                this.clearReflections();
+            }
+        }
+
+        this.debug.log(`Light estimation started${this.environment ? ' with reflections' : ''}`);
+        return true;
+    }
+
+    setupReflections(session) {
+        const gl = this.arScene.gl;
+        switch (session.preferredReflectionFormat) {
+            case 'srgba8':
+                gl.getExtension('EXT_sRGB');
+                break;
+            case 'rgba16f':
+                gl.getExtension('OES_texture_half_float');
+                break;
+        }
+
+        // The cube map texture belongs to the XR system; three just samples it
+        this.glBinding = new XRWebGLBinding(session, gl);
+        this.environment = new THREE.WebGLCubeRenderTarget(16).texture;
+        this.xrLightProbe.addEventListener('reflectionchange', this.onReflectionChange);
+    }
+
+    // Forget the cube map texture without deleting it, it belongs to the XR system
+    clearReflections() {
+        this.xrLightProbe?.removeEventListener('reflectionchange', this.onReflectionChange);
+        this.glBinding = null;
+
+        if (this.environment) {
+            this.arScene.setEnvironmentMap(null);
+            this.arScene.renderer.properties.remove(this.environment);
+            this.environment = null;
+        }
+    }
+
+    updateReflection() {
+        const cubeMap = this.glBinding?.getReflectionCubeMap(this.xrLightProbe);
+        if (!cubeMap) return;
+
+        const properties = this.arScene.renderer.properties.get(this.environment);
+        properties.__webglTexture = cubeMap;
+        properties.__webglInit = true;
+
+        this.arScene.setEnvironmentMap(this.environment);
+    }
+
+    update(frame, referenceSpace) {
+        if (!this.xrLightProbe) return;
+
+        const estimate = frame.getLightEstimate(this.xrLightProbe);
+        if (!estimate) return;
+
+        if (!this.active) {
+            this.activate();
+        }
+
+        this.lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+
+        // Keep the color in 0..1 and carry the brightness in the intensity
+        const { x: r, y: g, z: b } = estimate.primaryLightIntensity;
+        const intensity = Math.max(1, r, g, b);
+        const light = this.arScene.directionalLight;
+        light.color.setRGB(r / intensity, g / intensity, b / intensity);
+        light.intensity = intensity;
+
+        // The direction points towards the light, in the probe's space
+        const direction = new THREE.Vector3(
+            estimate.primaryLightDirection.x,
+            estimate.primaryLightDirection.y,
+            estimate.primaryLightDirection.z
+        );
+        const probePose = frame.getPose(this.xrLightProbe.probeSpace, referenceSpace);
+        if (probePose) {
+            const { x, y, z, w } = probePose.transform.orientation;
+            direction.applyQuaternion(new THREE.Quaternion(x, y, z, w));
+        }
+        this.arScene.lightDirection.copy(direction.normalize());
+        light.position.copy(direction).multiplyScalar(10);
+    }
+
+    // The light probe takes over from the static ambient and hemisphere lights
+    activate() {
+        const { ambientLight, directionalLight, hemisphereLight, scene } = this.arScene;
+
+        this.staticLights = {
+            ambient: ambientLight.intensity,
+            hemisphere: hemisphereLight.intensity,
+            directional: directionalLight.intensity,
+            color: directionalLight.color.clone(),
+            position: directionalLight.position.clone(),
+            lightDirection: this.arScene.lightDirection.clone()
+        };
+
+        ambientLight.intensity = 0;
+        hemisphereLight.intensity = 0;
+        scene.add(this.lightProbe);
+        this.active = true;
+    }
+
+    stop() {
+        this.clearReflections();
+        this.xrLightProbe = null;
+
+        if (this.active) {
+            const { ambientLight, directionalLight, hemisphereLight, scene } = this.arScene;
+            ambientLight.intensity = this.staticLights.ambient;
+            hemisphereLight.intensity = this.staticLights.hemisphere;
+            directionalLight.intensity = this.staticLights.directional;
+            directionalLight.color.copy(this.staticLights.color);
+            directionalLight.position.copy(this.staticLights.position);
+            this.arScene.lightDirection.copy(this.staticLights.lightDirection);
+            scene.remove(this.lightProbe);
+            this.active = false;
+        }
+    }
+}
@@ -0,0 +1,231 @@
+import { EventEmitter } from './event-emitter.js';
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// WebRTC peer connection between two players, negotiated over a signaling
+// adapter. The host creates the data channels and the offer; the guest answers.
+// Two channels are used: 'state' is unordered and unreliable for frequent
+// snapshots and inputs, 'control' is reliable for events that must arrive.
+// Emits 'open', 'message' (parsed JSON), 'latency' and 'close'.
+export class NetworkSession extends EventEmitter {
+    constructor(signaling, { role, room, iceServers = DEFAULT_ICE_SERVERS, createPeerConnection } = {}) {
+        super();
+
+        if (role !== 'host' && role !== 'guest') {
+            throw new Error(`Unknown network role "${role}"`);
+        }
+
+        this.signaling = signaling;
+        this.role = role;
+        this.room = room;
+        this.iceServers = iceServers;
+        this.createPeerConnection = createPeerConnection || ((config) => new RTCPeerConnection(config));
+
+        this.peerConnection = null;
+        this.channels = {};
+        this.pendingCandidates = [];
+        this.offerSent = false;
+        this.isOpen = false;
+        this.closed = false;
+
+        // Round trip time estimate in seconds, smoothed
+        this.rtt = 0;
+        this.pingInterval = null;
+        this.signalingListeners = [];
+    }
+
+    get latency() {
+        return this.rtt / 2;
+    }
+
+    async connect() {
+        this.signalingListeners.push(
+            this.signaling.on('message', (message) => this.onSignalingMessage(message)),
+            this.signaling.on('close', () => this.onSignalingClosed())
+        );
+
+        this.peerConnection = this.createPeerConnection({ iceServers: this.iceServers });
+        this.peerConnection.addEventListener('icecandidate', (event) => {
+            // Late candidates can still trickle in after signaling was closed
+            if (event.candidate && this.signaling.connected) {
+                this.signaling.send({ type: 'candidate', candidate: event.candidate.toJSON() });
+            }
+        });
+        this.peerConnection.addEventListener('connectionstatechange', () => {
+            const state = this.peerConnection?.connectionState;
+            if (state === 'failed' || state === 'closed') {
+                this.close();
+            }
+        });
+
+        if (this.role === 'host') {
+            this.setupChannel(this.peerConnection.createDataChannel('state', { ordered: false, maxRetransmits: 0 }));
+            this.setupChannel(this.peerConnection.createDataChannel('control', { ordered: true }));
+        } else {
+            this.peerConnection.addEventListener('datachannel', (event) => this.setupChannel(event.channel));
+        }
+
+        await this.signaling.connect(this.room);
+
+        // Announce ourselves; whoever joined the room first answers with a hello
+        this.signaling.send({ type: 'hello', role: this.role });
+    }
+
+    async onSignalingMessage(message) {
+        try {
+            switch (message.type) {
+                case 'hello':
+                    if (message.role === this.role) {
+                        throw new Error(`Both peers in room "${this.room}" joined as ${this.role}`);
+                    }
+                    if (this.role === 'guest') {
+                        // The host joined after us and has not seen our hello
+                        this.signaling.send({ type: 'hello', role: this.role });
+                    } else if (!this.offerSent) {
+                        this.offerSent = true;
+                        const offer = await this.peerConnection.createOffer();
+                        await this.peerConnection.setLocalDescription(offer);
+                        this.signaling.send({ type: 'offer', sdp: offer.sdp });
+                    }
+                    break;
+
+                case 'offer':
+                    if (this.role === 'guest') {
+                        await this.peerConnection.setRemoteDescription({ type: 'offer', sdp: message.sdp });
+                        await this.flushCandidates();
+                        const answer = await this.peerConnection.createAnswer();
+                        await this.peerConnection.setLocalDescription(answer);
+                        this.signaling.send({ type: 'answer', sdp: answer.sdp });
+                    }
+                    break;
+
+                case 'answer':
+                    if (this.role === 'host') {
+                        await this.peerConnection.setRemoteDescription({ type: 'answer', sdp: message.sdp });
+                        await this.flushCandidates();
+                    }
+                    break;
+
+                case 'candidate':
+                    // Candidates can arrive before the remote description is set
+                    if (this.peerConnection.remoteDescription) {
+                        await this.peerConnection.addIceCandidate(message.candidate);
+                    } else {
+                        this.pendingCandidates.push(message.candidate);
+                    }
+                    break;
+            }
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    async flushCandidates() {
+        const candidates = this.pendingCandidates;
+        this.pendingCandidates = [];
+        for (const candidate of candidates) {
+            await this.peerConnection.addIceCandidate(candidate);
+        }
+    }
+
+    setupChannel(channel) {
+        this.channels[channel.label] = channel;
+
+        channel.addEventListener('open', () => this.onChannelOpen());
+        channel.addEventListener('close', () => this.close());
+        channel.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                this.emit('error', error);
+                return;
+            }
+            this.onChannelMessage(message);
+        });
+    }
+
+    onChannelOpen() {
+        const channels = Object.values(this.channels);
+        if (this.isOpen || channels.length < 2 || channels.some(channel => channel.readyState !== 'open')) {
+            return;
+        }
+
+        this.isOpen = true;
+
+        // Signaling is no longer needed once the peers talk directly
+        this.signalingListeners.forEach(off => off());
+        this.signalingListeners = [];
+        this.signaling.close();
+
+        this.pingInterval = setInterval(() => this.ping(), 1000);
+        this.ping();
+
+        this.emit('open');
+    }
+
+    onChannelMessage(message) {
+        switch (message.t) {
+            case 'ping':
+                this.send({ t: 'pong', sentAt: message.sentAt }, { reliable: false });
+                break;
+
+            case 'pong': {
+                const sample = (performance.now() - message.sentAt) / 1000;
+                this.rtt = this.rtt === 0 ? sample : this.rtt * 0.8 + sample * 0.2;
+                this.emit('latency', this.latency);
+                break;
+            }
+
+            default:
+                this.emit('message', message);
+                break;
+        }
+    }
+
+    ping() {
+        this.send({ t: 'ping', sentAt: performance.now() }, { reliable: false });
+    }
+
+    send(message, { reliable = true } = {}) {
+        const channel = this.channels[reliable ? 'control' : 'state'];
+        if (!channel || channel.readyState !== 'open') return false;
+
+        channel.send(JSON.stringify(message));
+        return true;
+    }
+
+    onSignalingClosed() {
+        // Losing signaling before the peers connected means we never will
+        if (!this.isOpen) {
+            this.close();
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+
+        this.signalingListeners.forEach(off => off());
+        this.signalingListeners = [];
+        this.signaling.close();
+
+        for (const channel of Object.values(this.channels)) {
+            channel.close();
+        }
+        this.channels = {};
+
+        if (this.peerConnection) {
+            this.peerConnection.close();
+            this.peerConnection = null;
+        }
+
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
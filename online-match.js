@@ -0,0 +1,376 @@
+import { EventEmitter } from './event-emitter.js';
+import { PongSimulation } from './pong-simulation.js';
+
+// Simulation events the host forwards to the guest over the reliable channel
+const FORWARDED_EVENTS = ['launch', 'score', 'game-over', 'new-game', 'power-up', 'power-up-expired', 'shield'];
+
+// Each peer sees itself as the near side, so the other peer's coordinates
+// are rotated half a turn around the table centre and the sides swapped.
+function mirrorVec3(vector) {
+    return { x: -vector.x, y: vector.y, z: -vector.z };
+}
+
+function mirrorSide(side) {
+    return side === 'near' ? 'far' : 'near';
+}
+
+function mirrorBall(ball) {
+    return {
+        position: mirrorVec3(ball.position),
+        velocity: mirrorVec3(ball.velocity),
+        spin: mirrorVec3(ball.spin), // Turning around y mirrors spin like a vector
+        lastHitBy: ball.lastHitBy ? mirrorSide(ball.lastHitBy) : null
+    };
+}
+
+export function mirrorSnapshot(snapshot) {
+    const powerUps = snapshot.powerUps;
+    return {
+        ...snapshot,
+        ball: mirrorBall(snapshot.ball),
+        extraBalls: snapshot.extraBalls.map(mirrorBall),
+        paddles: {
+            near: mirrorVec3(snapshot.paddles.far),
+            far: mirrorVec3(snapshot.paddles.near)
+        },
+        paddleVelocities: {
+            near: mirrorVec3(snapshot.paddleVelocities.far),
+            far: mirrorVec3(snapshot.paddleVelocities.near)
+        },
+        scores: { near: snapshot.scores.far, far: snapshot.scores.near },
+        powerUps: {
+            ...powerUps,
+            items: powerUps.items.map(item => ({ ...item, position: mirrorVec3(item.position) })),
+            effects: powerUps.effects.map(effect => ({ ...effect, side: effect.side && mirrorSide(effect.side) }))
+        }
+    };
+}
+
+function mirrorEvent(event) {
+    const mirrored = { ...event };
+    for (const key of ['position', 'velocity', 'spin']) {
+        if (event[key]) mirrored[key] = mirrorVec3(event[key]);
+    }
+    for (const key of ['side', 'affected', 'winner', 'loser']) {
+        if (event[key]) mirrored[key] = mirrorSide(event[key]);
+    }
+    if (event.scores) {
+        mirrored.scores = { near: event.scores.far, far: event.scores.near };
+    }
+    return mirrored;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Keeps two PongSimulations in sync over a NetworkSession. The host runs the
+// authoritative simulation and streams snapshots; the guest runs a
+// non-authoritative copy that predicts the ball between snapshots.
+//
+// Lag compensation: the guest fast-forwards every snapshot by the one-way
+// latency, so its ball matches what the host is simulating "now", and the
+// host extrapolates the guest paddle by the same latency. The remote paddle
+// on the guest is interpolated from buffered snapshots to hide jitter.
+export class OnlineMatch extends EventEmitter {
+    constructor(simulation, session, {
+        snapshotRate = 20,
+        inputRate = 30,
+        interpolationDelay = 0.1,
+        maxExtrapolation = 0.15
+    } = {}) {
+        super();
+
+        this.simulation = simulation;
+        this.session = session;
+        this.role = session.role;
+        this.isHost = this.role === 'host';
+
+        this.snapshotInterval = 1 / snapshotRate;
+        this.inputInterval = 1 / inputRate;
+        this.interpolationDelay = interpolationDelay;
+        this.maxExtrapolation = maxExtrapolation;
+        this.sendTimer = 0;
+
+        this.connected = false;
+        this.subscriptions = [];
+
+        // Host: latest guest paddle (in host coordinates) and its velocity
+        this.remoteInput = null;
+
+        // Guest: numbers input messages, the simulation tick restarts every match
+        this.inputSequence = 0;
+
+        // Guest: buffered host paddle positions keyed by host time, and a
+        // scratch simulation used to fast-forward snapshots
+        this.remotePaddleBuffer = [];
+        this.hostClock = null;
+        this.predictor = this.isHost ? null : new PongSimulation(simulation.config, { authoritative: false });
+    }
+
+    start() {
+        const session = this.session;
+
+        this.subscriptions.push(
+            session.on('open', () => this.onOpen()),
+            session.on('close', () => this.onClose()),
+            session.on('message', (message) => this.onMessage(message))
+        );
+
+        if (this.isHost) {
+            for (const type of FORWARDED_EVENTS) {
+                this.subscriptions.push(
+                    this.simulation.on(type, (payload) => {
+                        this.session.send({ t: 'event', type, payload, snapshot: this.simulation.getSnapshot() });
+                    })
+                );
+            }
+        }
+    }
+
+    onOpen() {
+        this.connected = true;
+
+        // Bring the guest up to date straight away, the host's rules apply
+        if (this.isHost) {
+            this.sendConfig();
+            this.session.send({ t: 'state', snapshot: this.simulation.getSnapshot() });
+        }
+
+        this.emit('connected');
+    }
+
+    onClose() {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.emit('disconnected', { wasConnected });
+    }
+
+    onMessage(message) {
+        switch (message.t) {
+            case 'input':
+                if (this.isHost) this.onRemoteInput(message);
+                break;
+
+            case 'state':
+                if (!this.isHost) this.onSnapshot(message.snapshot);
+                break;
+
+            case 'event':
+                if (!this.isHost) this.onRemoteEvent(message);
+                break;
+
+            case 'config':
+                if (!this.isHost) this.onRemoteConfig(message.config);
+                break;
+
+            case 'pause':
+                this.emit('pause', { paused: message.paused });
+                break;
+
+            case 'rematch':
+                if (this.isHost) this.simulation.rematch();
+                break;
+
+            default:
+                // Messages for other features riding on the same session
+                this.emit('message', message);
+                break;
+        }
+    }
+
+    // Either player can pause; both games stop so neither side plays on alone
+    setPaused(paused) {
+        this.session.send({ t: 'pause', paused });
+    }
+
+    // The host starts the next game, the guest asks it to
+    requestRematch() {
+        if (this.isHost) {
+            this.simulation.rematch();
+        } else {
+            this.session.send({ t: 'rematch' });
+        }
+    }
+
+    // Send a reliable message of our own to the other peer
+    send(message) {
+        return this.session.send(message);
+    }
+
+    // Advance the local simulation. `getLocalTarget(timestep)` returns the
+    // near paddle target for each step.
+    advance(frameDelta, getLocalTarget) {
+        if (!this.connected) return 0;
+
+        const steps = this.simulation.advance(frameDelta, (timestep) => ({
+            near: getLocalTarget(timestep),
+            far: this.isHost ? this.getRemotePaddleTarget() : this.getInterpolatedRemotePaddle()
+        }));
+
+        // Throttle what we put on the wire
+        this.sendTimer += frameDelta;
+        const interval = this.isHost ? this.snapshotInterval : this.inputInterval;
+        if (this.sendTimer >= interval) {
+            this.sendTimer %= interval;
+            this.sendUpdate();
+        }
+
+        return steps;
+    }
+
+    sendUpdate() {
+        if (this.isHost) {
+            this.session.send({ t: 'state', snapshot: this.simulation.getSnapshot() }, { reliable: false });
+        } else {
+            this.session.send({
+                t: 'input',
+                sequence: this.inputSequence++,
+                paddle: { ...this.simulation.state.paddles.near }
+            }, { reliable: false });
+        }
+    }
+
+    // --- Host side ---
+
+    // Share the simulation config, again whenever the host changes a rule
+    sendConfig() {
+        this.session.send({ t: 'config', config: { ...this.simulation.config } });
+    }
+
+    onRemoteInput(message) {
+        const paddle = mirrorVec3(message.paddle);
+        const now = performance.now() / 1000;
+        const previous = this.remoteInput;
+
+        // Out of order packets on the unreliable channel are dropped
+        if (previous && message.sequence <= previous.sequence) return;
+
+        let velocity = { x: 0, y: 0, z: 0 };
+        if (previous && now > previous.receivedAt) {
+            const elapsed = now - previous.receivedAt;
+            velocity = {
+                x: (paddle.x - previous.paddle.x) / elapsed,
+                y: (paddle.y - previous.paddle.y) / elapsed,
+                z: (paddle.z - previous.paddle.z) / elapsed
+            };
+        }
+
+        this.remoteInput = { sequence: message.sequence, paddle, velocity, receivedAt: now };
+    }
+
+    // Guest paddle extrapolated over the network latency
+    getRemotePaddleTarget() {
+        if (!this.remoteInput) return null;
+
+        const { paddle, velocity, receivedAt } = this.remoteInput;
+        const age = performance.now() / 1000 - receivedAt;
+        const ahead = Math.min(this.session.latency + age, this.maxExtrapolation);
+
+        return {
+            x: paddle.x + velocity.x * ahead,
+            y: paddle.y + velocity.y * ahead,
+            z: paddle.z + velocity.z * ahead
+        };
+    }
+
+    // --- Guest side ---
+
+    onSnapshot(hostSnapshot) {
+        const snapshot = mirrorSnapshot(hostSnapshot);
+
+        // Ignore snapshots older than the newest one we have seen
+        if (!this.trackHostClock(snapshot)) return;
+
+        this.reconcile(snapshot);
+    }
+
+    // Follow the host clock and buffer its paddle for interpolation; false
+    // for snapshots older than the newest one seen
+    trackHostClock(snapshot) {
+        if (this.hostClock && snapshot.time <= this.hostClock.time) return false;
+        this.hostClock = { time: snapshot.time, receivedAt: performance.now() / 1000 };
+
+        this.remotePaddleBuffer.push({ time: snapshot.time, position: snapshot.paddles.far });
+        if (this.remotePaddleBuffer.length > 30) {
+            this.remotePaddleBuffer.shift();
+        }
+        return true;
+    }
+
+    // Take the host's ball and match state, predicted forward by the latency
+    reconcile(snapshot) {
+        const simulation = this.simulation;
+        const predictor = this.predictor;
+
+        predictor.applySnapshot(snapshot);
+        predictor.state.paddles.near = { ...simulation.state.paddles.near };
+
+        const timestep = simulation.config.timestep;
+        const steps = Math.min(Math.round(this.session.latency / timestep), 30);
+        for (let i = 0; i < steps; i++) {
+            predictor.step({});
+        }
+
+        // Keep our own paddle and the interpolated remote paddle; the previous
+        // ball position stays as is so rendering blends into the correction
+        const state = simulation.state;
+        const lastPosition = { ...state.ball.lastPosition };
+        simulation.applySnapshot(predictor.getSnapshot(), { sides: [] });
+        state.ball.lastPosition = lastPosition;
+    }
+
+    onRemoteConfig(config) {
+        this.simulation.updateConfig(config);
+        this.predictor.updateConfig(config);
+        this.emit('config', config);
+    }
+
+    onRemoteEvent(message) {
+        const payload = mirrorEvent(message.payload);
+        const snapshot = mirrorSnapshot(message.snapshot);
+
+        // Events carry the state they happened in, so scores and phase are exact
+        this.simulation.applySnapshot(snapshot, { sides: [] });
+        this.trackHostClock(snapshot);
+        this.simulation.emit(message.type, payload);
+    }
+
+    // Host time we are currently displaying the remote paddle at
+    getRemoteRenderTime() {
+        if (!this.hostClock) return 0;
+        const elapsed = performance.now() / 1000 - this.hostClock.receivedAt;
+        return this.hostClock.time + elapsed - this.interpolationDelay;
+    }
+
+    getInterpolatedRemotePaddle() {
+        const buffer = this.remotePaddleBuffer;
+        if (buffer.length === 0) return null;
+
+        const renderTime = this.getRemoteRenderTime();
+
+        // Find the two samples around the render time
+        for (let i = buffer.length - 1; i > 0; i--) {
+            const from = buffer[i - 1];
+            const to = buffer[i];
+            if (from.time <= renderTime && renderTime <= to.time) {
+                const t = (renderTime - from.time) / (to.time - from.time || 1);
+                return {
+                    x: lerp(from.position.x, to.position.x, t),
+                    y: lerp(from.position.y, to.position.y, t),
+                    z: lerp(from.position.z, to.position.z, t)
+                };
+            }
+        }
+
+        // Outside the buffer: hold the closest sample
+        return renderTime < buffer[0].time ? buffer[0].position : buffer[buffer.length - 1].position;
+    }
+
+    dispose() {
+        this.subscriptions.forEach(off => off());
+        this.subscriptions = [];
+        this.connected = false;
+        this.session.close();
+    }
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+
+// Keyboard layout for each paddle in fallback/debug mode
+const KEY_BINDINGS = {
+    near: { left: 'KeyA', right: 'KeyD', up: 'KeyW', down: 'KeyS' },
+    far: { left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown' }
+};
+
+// Hand joint standing in for the palm, WebXR hands have no palm joint
+const PALM_JOINT = 'middle-finger-metacarpal';
+
+// Seconds the paddle takes to catch up with the phone, smoothing out shake
+const DEVICE_POSE_SMOOTHING = 0.08;
+
+// Session features for tracked hands, merged into the session request by
+// experiences that take hand input. Controllers need no extra feature.
+export function getHandTrackingSessionInit() {
+    return { optionalFeatures: ['hand-tracking'] };
+}
+
+// Turns pointer, keyboard and tracked controller or hand input into paddle
+// targets for the simulation. Each controlled side gets its own target; with
+// two sides, pointers on the bottom half of the screen drive the near paddle
+// and the top half the far one. On headsets the near paddle follows a
+// controller's grip or a hand's palm instead.
+//
+// With the 'device' control scheme the phone itself is the near paddle:
+// moving it left, right, up or down from where it was calibrated moves the
+// paddle the same way from its home position.
+export class PaddleControls {
+    constructor(arScene, simulation, { sides = ['near'], debug = null } = {}) {
+        this.arScene = arScene;
+        this.simulation = simulation;
+        this.sides = sides;
+        this.debug = debug;
+
+        // Paddle targets fed to the simulation each step
+        this.targets = {};
+        for (const side of sides) {
+            this.targets[side] = new THREE.Vector3();
+        }
+
+        // Active pointers by pointerId
+        this.pointers = new Map();
+        this.keysDown = new Set();
+
+        // Touch/pointer interaction for 3D
+        this.raycaster = new THREE.Raycaster();
+        this.localTouchPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.inverseAnchorMatrix = new THREE.Matrix4();
+        this.verticalSensitivity = 1.0;
+        this.depthSensitivity = 0.5;
+        this.keyboardSpeed = 0.6; // Meters per second
+
+        // Description of the controller or hand driving the near paddle, if any
+        this.xrSource = null;
+
+        // 'touch' or 'device'. The phone's calibrated position, in the
+        // placed content's space, is taken on the next frame when unset.
+        this.controlScheme = 'touch';
+        this.poseOrigin = null;
+        this.devicePosition = new THREE.Vector3();
+        this.poseGoal = new THREE.Vector3();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onContentMoved = () => this.calibrate();
+    }
+
+    attach() {
+        const canvas = this.arScene.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('pointercancel', this.onPointerUp);
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        document.addEventListener('ar-content-moved', this.onContentMoved);
+
+        this.resetTargets();
+    }
+
+    detach() {
+        const canvas = this.arScene.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('pointerup', this.onPointerUp);
+        canvas.removeEventListener('pointercancel', this.onPointerUp);
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        document.removeEventListener('ar-content-moved', this.onContentMoved);
+
+        this.pointers.clear();
+        this.keysDown.clear();
+        this.xrSource = null;
+    }
+
+    // Snap targets back to where the paddles currently are
+    resetTargets() {
+        for (const side of this.sides) {
+            this.targets[side].copy(this.simulation.state.paddles[side]);
+        }
+    }
+
+    getTarget(side) {
+        return this.targets[side] || null;
+    }
+
+    setControlScheme(scheme) {
+        if (scheme === this.controlScheme) return;
+
+        this.controlScheme = scheme;
+        this.poseOrigin = null;
+        this.debug?.log(`Paddle control scheme set to ${scheme}`);
+    }
+
+    // The phone only stands in for the paddle in AR
+    usesDevicePose() {
+        return this.controlScheme === 'device' && !this.arScene.debugMode && Boolean(this.targets.near);
+    }
+
+    // Take the phone's current position as the paddle's home on the next frame
+    calibrate() {
+        this.poseOrigin = null;
+    }
+
+    // Which paddle a pointer controls, decided when it goes down. When the
+    // phone moves the near paddle, touches only drive the far one.
+    getSideForPointer(event) {
+        const sides = this.usesDevicePose() ? this.sides.filter(side => side !== 'near') : this.sides;
+        if (sides.length <= 1) return sides[0] || null;
+        return event.clientY >= window.innerHeight / 2 ? 'near' : 'far';
+    }
+
+    onPointerDown(event) {
+        // Touches move the board instead while it is being re-placed
+        if (this.arScene.movingContent) return;
+
+        const side = this.getSideForPointer(event);
+        if (!side) return;
+
+        const pointer = {
+            side,
+            position: this.toNormalizedPosition(event)
+        };
+        this.pointers.set(event.pointerId, pointer);
+        this.updatePointerPosition(event, pointer);
+    }
+
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (pointer) {
+            this.updatePointerPosition(event, pointer);
+        }
+    }
+
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+    }
+
+    toNormalizedPosition(event) {
+        return new THREE.Vector2(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            -((event.clientY / window.innerHeight) * 2 - 1)
+        );
+    }
+
+    updatePointerPosition(event, pointer) {
+        const newPosition = this.toNormalizedPosition(event);
+        const delta = newPosition.clone().sub(pointer.position);
+        pointer.position.copy(newPosition);
+
+        const target = this.targets[pointer.side];
+
+        if (this.arScene.debugMode) {
+            // Debug mode handling with direct mapping and 3D movement
+            target.x += delta.x;
+            target.y += delta.y * this.verticalSensitivity;
+
+            // Depth movement (based on vertical movement)
+            target.z += delta.y * this.depthSensitivity;
+        } else if (this.arScene.arAnchor) {
+            // AR mode handling with local space ray intersection
+            this.raycaster.setFromCamera(newPosition, this.arScene.camera);
+            this.inverseAnchorMatrix.copy(this.arScene.arAnchor.matrixWorld).invert();
+
+            const localRay = this.raycaster.ray.clone().applyMatrix4(this.inverseAnchorMatrix);
+            const config = this.simulation.config;
+            this.localTouchPlane.constant = -(config.tableHeight + config.paddleHeight / 2);
+
+            const intersectionPoint = new THREE.Vector3();
+            if (localRay.intersectPlane(this.localTouchPlane, intersectionPoint)) {
+                target.copy(intersectionPoint);
+            }
+        }
+
+        this.clampTarget(pointer.side);
+    }
+
+    onKeyDown(event) {
+        // Keyboard control is only for fallback/debug mode, and not while typing
+        if (!this.arScene.debugMode || event.target.closest?.('input, select, textarea')) return;
+
+        if (this.getKeyBinding(event.code)) {
+            this.keysDown.add(event.code);
+            event.preventDefault();
+        }
+    }
+
+    onKeyUp(event) {
+        this.keysDown.delete(event.code);
+    }
+
+    // Side and direction for a key, if the key is bound for the active sides
+    getKeyBinding(code) {
+        for (const [side, bindings] of Object.entries(KEY_BINDINGS)) {
+            for (const [direction, key] of Object.entries(bindings)) {
+                if (key !== code) continue;
+
+                // With a single player both layouts move the same paddle
+                const controlledSide = this.sides.includes(side) ? side : this.sides[0];
+                return { side: controlledSide, direction };
+            }
+        }
+        return null;
+    }
+
+    update(deltaTime) {
+        if (this.keysDown.size === 0) return;
+
+        const step = this.keyboardSpeed * deltaTime;
+        for (const code of this.keysDown) {
+            const binding = this.getKeyBinding(code);
+            if (!binding) continue;
+
+            const target = this.targets[binding.side];
+            switch (binding.direction) {
+                case 'left': target.x -= step; break;
+                case 'right': target.x += step; break;
+                case 'up': target.y += step; break;
+                case 'down': target.y -= step; break;
+            }
+            this.clampTarget(binding.side);
+        }
+    }
+
+    // Follow a tracked controller or hand with the near paddle, or else the
+    // phone with the 'device' scheme, mapped into the placed content's space.
+    // Call once per frame before stepping.
+    updateXRInput(deltaTime, frame, referenceSpace) {
+        const anchor = this.arScene.arAnchor;
+        const tracking = frame && anchor?.userData.placed && !this.arScene.movingContent && this.targets.near;
+        const tracked = tracking ? this.findTrackedPose(frame, referenceSpace) : null;
+
+        const source = tracked ? tracked.source : null;
+        if (source !== this.xrSource) {
+            this.xrSource = source;
+            this.debug?.log(source ? `Near paddle follows the ${source}` : "Near paddle no longer follows a controller or hand");
+        }
+
+        if (tracked) {
+            this.inverseAnchorMatrix.copy(anchor.matrixWorld).invert();
+            this.targets.near.setFromMatrixPosition(tracked.matrix).applyMatrix4(this.inverseAnchorMatrix);
+            this.clampTarget('near');
+        } else if (tracking && this.usesDevicePose()) {
+            this.updateDevicePose(deltaTime, frame, referenceSpace);
+        }
+    }
+
+    updateDevicePose(deltaTime, frame, referenceSpace) {
+        const pose = frame.getViewerPose(referenceSpace);
+        if (!pose) return;
+
+        this.inverseAnchorMatrix.copy(this.arScene.arAnchor.matrixWorld).invert();
+        const position = this.devicePosition
+            .setFromMatrixPosition(new THREE.Matrix4().fromArray(pose.transform.matrix))
+            .applyMatrix4(this.inverseAnchorMatrix);
+
+        if (!this.poseOrigin) {
+            this.poseOrigin = position.clone();
+            this.debug?.log("Phone paddle calibrated");
+        }
+
+        // Offsets from the calibrated position move the paddle from its home
+        const home = this.simulation.getPaddleHome('near');
+        const offset = position.clone().sub(this.poseOrigin);
+        this.poseGoal.set(
+            home.x + offset.x,
+            home.y + offset.y * this.verticalSensitivity,
+            home.z + offset.z * this.depthSensitivity
+        );
+
+        const blend = 1 - Math.exp(-deltaTime / DEVICE_POSE_SMOOTHING);
+        this.targets.near.lerp(this.poseGoal, blend);
+        this.clampTarget('near');
+    }
+
+    // Pose of the input source to follow, right handed sources first. Hands
+    // use the palm joint and controllers their grip; screen touches have
+    // neither and are left to the pointer events.
+    findTrackedPose(frame, referenceSpace) {
+        const sources = Array.from(frame.session.inputSources)
+            .sort((a, b) => (b.handedness === 'right') - (a.handedness === 'right'));
+
+        for (const inputSource of sources) {
+            const side = inputSource.handedness === 'none' ? '' : `${inputSource.handedness} `;
+
+            if (inputSource.hand && frame.getJointPose) {
+                const joint = inputSource.hand.get(PALM_JOINT);
+                const pose = joint && frame.getJointPose(joint, referenceSpace);
+                if (pose) {
+                    return { matrix: new THREE.Matrix4().fromArray(pose.transform.matrix), source: `${side}hand` };
+                }
+            } else if (inputSource.gripSpace) {
+                const pose = frame.getPose(inputSource.gripSpace, referenceSpace);
+                if (pose) {
+                    return { matrix: new THREE.Matrix4().fromArray(pose.transform.matrix), source: `${side}controller` };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Keep targets inside the paddle bounds so relative moves don't accumulate
+    clampTarget(side) {
+        const target = this.targets[side];
+        const bounds = this.simulation.getPaddleBounds(side);
+        target.x = Math.max(bounds.minX, Math.min(bounds.maxX, target.x));
+        target.y = Math.max(bounds.minY, Math.min(bounds.maxY, target.y));
+        target.z = Math.max(bounds.minZ, Math.min(bounds.maxZ, target.z));
+    }
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+
+// Particles the emitter holds at once. Bursts beyond that reuse the oldest.
+const DEFAULT_CAPACITY = 4096;
+
+// Downward pull on particles, in meters per second squared
+const GRAVITY = -0.01;
+
+// Each particle is stored once, when it is spawned: where and when it started,
+// how fast it moves, its color, size and lifetime. The vertex shader works
+// out where it is now and how faded from the time since it spawned.
+const vertexShader = `
+    uniform float time;
+    uniform float gravity;
+    uniform float scale;
+
+    attribute vec3 velocity;
+    attribute vec3 color;
+    attribute float size;
+    attribute vec2 spawn; // Birth time and lifetime in seconds
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float age = time - spawn.x;
+        if (age < 0.0 || age >= spawn.y) {
+            // Dead particles are moved outside the clip volume
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            gl_PointSize = 0.0;
+            return;
+        }
+
+        vec3 current = position + velocity * age;
+        current.y += 0.5 * gravity * age * age;
+
+        float life = 1.0 - age / spawn.y;
+        vColor = color;
+        vAlpha = life * life;
+
+        vec4 mvPosition = modelViewMatrix * vec4(current, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = size * scale / -mvPosition.z;
+    }
+`;
+
+const fragmentShader = `
+    uniform float opacity;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        // Round, soft edged points
+        float radius = length(gl_PointCoord - 0.5);
+        if (radius > 0.5) discard;
+
+        gl_FragColor = vec4(vColor, opacity * vAlpha * (1.0 - radius * 2.0));
+    }
+`;
+
+// One point cloud for every particle effect, animated on the GPU. Emitting
+// writes the new particles' spawn attributes into a ring buffer and uploads
+// just that range; nothing is touched per particle after that. When the ring
+// is full the oldest particles are overwritten first.
+export class ParticleEmitter {
+    constructor(style, capacity = DEFAULT_CAPACITY) {
+        this.capacity = capacity;
+        this.cursor = 0;
+        this.time = 0;
+
+        const geometry = new THREE.BufferGeometry();
+        this.attributes = {
+            position: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+            velocity: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+            color: new THREE.BufferAttribute(new Float32Array(capacity * 3), 3),
+            size: new THREE.BufferAttribute(new Float32Array(capacity), 1),
+            spawn: new THREE.BufferAttribute(new Float32Array(capacity * 2), 2)
+        };
+        for (const [name, attribute] of Object.entries(this.attributes)) {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        }
+
+        // Every slot starts out long dead
+        this.attributes.spawn.array.fill(-1);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                gravity: { value: GRAVITY },
+                scale: { value: 1 },
+                opacity: { value: 1 }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.name = 'particles';
+
+        // Particles move in the shader, so the geometry's bounds mean nothing
+        this.points.frustumCulled = false;
+
+        this.setStyle(style);
+    }
+
+    // Size (m), opacity and blending, from a theme's particle style
+    setStyle(style) {
+        this.baseSize = style.size;
+        this.material.uniforms.opacity.value = style.opacity;
+        this.material.blending = style.additive ? THREE.AdditiveBlending : THREE.NormalBlending;
+        this.material.needsUpdate = true;
+    }
+
+    // Spawn a burst of `count` particles flying out from `position` at up
+    // to `speed` meters per second, fading out over `lifetime` seconds
+    emit(position, color, { count = 30, speed = 0.1, lifetime = 1 } = {}) {
+        count = Math.min(count, this.capacity);
+        const { position: positions, velocity, color: colors, size, spawn } = this.attributes;
+
+        for (let n = 0; n < count; n++) {
+            const i = (this.cursor + n) % this.capacity;
+
+            positions.setXYZ(i, position.x, position.y, position.z);
+            colors.setXYZ(i, color.r, color.g, color.b);
+            size.setX(i, this.baseSize * (0.5 + Math.random()));
+            spawn.setXY(i, this.time, lifetime);
+
+            // Random velocities in a sphere
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.random() * Math.PI;
+            const r = Math.random() * speed;
+            velocity.setXYZ(
+                i,
+                r * Math.sin(phi) * Math.cos(theta),
+                r * Math.sin(phi) * Math.sin(theta),
+                r * Math.cos(phi)
+            );
+        }
+
+        // Upload only the slots just written, in two parts if the ring wrapped
+        const first = Math.min(count, this.capacity - this.cursor);
+        this.markRange(this.cursor, first);
+        if (first < count) {
+            this.markRange(0, count - first);
+        }
+
+        this.cursor = (this.cursor + count) % this.capacity;
+    }
+
+    markRange(start, count) {
+        for (const attribute of Object.values(this.attributes)) {
+            attribute.addUpdateRange(start * attribute.itemSize, count * attribute.itemSize);
+            attribute.needsUpdate = true;
+        }
+    }
+
+    // Advance the particles' clock, `viewHeight` being the render target's
+    // height in pixels for sizing points by distance
+    update(deltaTime, viewHeight) {
+        this.time += deltaTime;
+        this.material.uniforms.time.value = this.time;
+        this.material.uniforms.scale.value = viewHeight / 2;
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+// How far a hit may sit off a plane's surface and still count as on it
+const PLANE_TOLERANCE = 0.05;
+
+// Minimum up component of a plane's normal for it to count as horizontal
+const HORIZONTAL_NORMAL_Y = 0.9;
+
+const SUITABLE_COLOR = 0x00ffcc;
+const UNSUITABLE_COLOR = 0x888888;
+
+// Shows the surfaces found by WebXR plane detection as subtle meshes and
+// decides which ones content may be placed on: horizontal, facing up and at
+// least as large as the content's footprint. Without plane detection every
+// hit is accepted, as before.
+export class PlaneTracker {
+    constructor(scene, debug) {
+        this.scene = scene;
+        this.debug = debug;
+
+        // Meshes and fit per XRPlane
+        this.planes = new Map();
+        this.footprint = null;
+        this.available = false;
+        this.visible = true;
+
+        this.group = new THREE.Group();
+        this.group.name = 'detected-planes';
+        this.scene.add(this.group);
+    }
+
+    // Size content needs, in meters; null accepts any horizontal plane
+    setFootprint(footprint) {
+        this.footprint = footprint;
+
+        // Planes that fit changes with the footprint
+        for (const entry of this.planes.values()) {
+            entry.suitable = this.isSuitable(entry);
+            entry.mesh.material.color.setHex(entry.suitable ? SUITABLE_COLOR : UNSUITABLE_COLOR);
+        }
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.group.visible = visible;
+    }
+
+    update(frame, referenceSpace) {
+        const detectedPlanes = frame.detectedPlanes;
+        this.available = Boolean(detectedPlanes);
+        if (!detectedPlanes) return;
+
+        // Forget planes the system merged or dropped
+        for (const [plane, entry] of this.planes) {
+            if (!detectedPlanes.has(plane)) {
+                this.removeEntry(entry);
+                this.planes.delete(plane);
+            }
+        }
+
+        for (const plane of detectedPlanes) {
+            let entry = this.planes.get(plane);
+            if (!entry) {
+                entry = this.createEntry(plane);
+                this.planes.set(plane, entry);
+            } else if (entry.lastChangedTime !== plane.lastChangedTime) {
+                this.updateGeometry(entry, plane);
+            }
+
+            const pose = frame.getPose(plane.planeSpace, referenceSpace);
+            entry.mesh.visible = Boolean(pose);
+            if (pose) {
+                entry.matrix.fromArray(pose.transform.matrix);
+                entry.mesh.matrix.copy(entry.matrix);
+                entry.normalY = new THREE.Vector3().setFromMatrixColumn(entry.matrix, 1).y;
+            }
+
+            const suitable = this.isSuitable(entry);
+            if (suitable !== entry.suitable) {
+                entry.suitable = suitable;
+                entry.mesh.material.color.setHex(suitable ? SUITABLE_COLOR : UNSUITABLE_COLOR);
+            }
+        }
+    }
+
+    createEntry(plane) {
+        const material = new THREE.MeshBasicMaterial({
+            color: UNSUITABLE_COLOR,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+        mesh.matrixAutoUpdate = false;
+        this.group.add(mesh);
+
+        const entry = {
+            mesh,
+            matrix: new THREE.Matrix4(),
+            orientation: plane.orientation,
+            normalY: 0,
+            polygon: [],
+            size: { width: 0, depth: 0 },
+            suitable: false,
+            lastChangedTime: null
+        };
+        this.updateGeometry(entry, plane);
+        return entry;
+    }
+
+    // Plane polygons are convex and lie in the plane's x/z, so a fan triangulates them
+    updateGeometry(entry, plane) {
+        const polygon = plane.polygon.map(point => new THREE.Vector2(point.x, point.z));
+        entry.polygon = polygon;
+        entry.lastChangedTime = plane.lastChangedTime;
+
+        const box = new THREE.Box2().setFromPoints(polygon);
+        entry.size = { width: box.max.x - box.min.x, depth: box.max.y - box.min.y };
+
+        const positions = [];
+        for (let i = 1; i < polygon.length - 1; i++) {
+            for (const point of [polygon[0], polygon[i], polygon[i + 1]]) {
+                positions.push(point.x, 0, point.y);
+            }
+        }
+
+        entry.mesh.geometry.dispose();
+        entry.mesh.geometry = new THREE.BufferGeometry();
+        entry.mesh.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    }
+
+    isSuitable(entry) {
+        if (entry.orientation && entry.orientation !== 'horizontal') return false;
+        if (entry.normalY < HORIZONTAL_NORMAL_Y) return false;
+        if (!this.footprint) return true;
+
+        // The content may be turned, so compare short side with short side
+        const planeSides = [entry.size.width, entry.size.depth].sort((a, b) => a - b);
+        const contentSides = [this.footprint.width, this.footprint.depth].sort((a, b) => a - b);
+        return planeSides[0] >= contentSides[0] && planeSides[1] >= contentSides[1];
+    }
+
+    // Whether content may be placed at a hit test pose. Without plane
+    // detection there is nothing to go on, so every hit is accepted.
+    accepts(hitMatrix) {
+        if (!this.available) return true;
+
+        const point = new THREE.Vector3();
+        const inverse = new THREE.Matrix4();
+        for (const entry of this.planes.values()) {
+            if (!entry.suitable || !entry.mesh.visible) continue;
+
+            point.setFromMatrixPosition(hitMatrix).applyMatrix4(inverse.copy(entry.matrix).invert());
+            if (Math.abs(point.y) <= PLANE_TOLERANCE && this.containsPoint(entry.polygon, point.x, point.z)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    containsPoint(polygon, x, z) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > z) !== (b.y > z) && x < (b.x - a.x) * (z - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    removeEntry(entry) {
+        this.group.remove(entry.mesh);
+        entry.mesh.geometry.dispose();
+        entry.mesh.material.dispose();
+    }
+
+    clear() {
+        for (const entry of this.planes.values()) {
+            this.removeEntry(entry);
+        }
+        this.planes.clear();
+        this.available = false;
+    }
+}
@@ -0,0 +1,228 @@
+import { PongSimulation } from './pong-simulation.js';
+import { SeededRandom } from './seeded-random.js';
+
+// Named difficulty profiles for the computer opponent.
+//   reactionDelay      seconds before it reacts to a ball heading its way
+//   predictionHorizon  how far ahead (seconds) it can follow the ball's path
+//   replanInterval     seconds between refreshing the prediction
+//   aimError           maximum miss distance (meters) of the predicted intercept
+//   trackingSpeed      maximum paddle speed in meters per second
+//   angleChance        chance of deliberately angling a return away from you
+//   angleStrength      how far off centre (fraction of half a paddle) it hits then
+export const DIFFICULTY_PROFILES = {
+    easy: {
+        label: 'Easy',
+        reactionDelay: 0.45,
+        predictionHorizon: 0.2,
+        replanInterval: 0.3,
+        aimError: 0.14,
+        trackingSpeed: 0.25,
+        angleChance: 0,
+        angleStrength: 0
+    },
+    normal: {
+        label: 'Normal',
+        reactionDelay: 0.25,
+        predictionHorizon: 0.5,
+        replanInterval: 0.15,
+        aimError: 0.11,
+        trackingSpeed: 0.32,
+        angleChance: 0.25,
+        angleStrength: 0.5
+    },
+    hard: {
+        label: 'Hard',
+        reactionDelay: 0.15,
+        predictionHorizon: 1.2,
+        replanInterval: 0.1,
+        aimError: 0.05,
+        trackingSpeed: 0.7,
+        angleChance: 0.5,
+        angleStrength: 0.7
+    },
+    insane: {
+        label: 'Insane',
+        reactionDelay: 0.05,
+        predictionHorizon: 3,
+        replanInterval: 0.05,
+        aimError: 0.01,
+        trackingSpeed: 1.5,
+        angleChance: 0.9,
+        angleStrength: 0.85
+    }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Computer opponent. Produces paddle targets for PongSimulation.step() from
+// the simulation state, so it can drive a paddle in the browser or headless.
+//
+// Each time the ball heads its way the AI waits out its reaction delay, then
+// predicts where the ball will cross its paddle by running the real rules
+// (gravity, wall and floor bounces) on a scratch simulation, as far ahead as
+// its prediction horizon allows.
+export class PongAI {
+    constructor(simulation, { side = 'far', seed, difficulty = DEFAULT_DIFFICULTY } = {}) {
+        this.simulation = simulation;
+        this.side = side;
+        this.direction = side === 'near' ? 1 : -1;
+        this.random = new SeededRandom(seed);
+        this.setDifficulty(difficulty);
+
+        // Scratch simulation the ball path is predicted on; its paddles are
+        // parked below the table so nothing but walls and floor deflect the ball
+        this.predictor = new PongSimulation(simulation.config, { authoritative: false });
+
+        this.time = 0;
+        this.approaching = false;
+        this.approachStart = 0;
+        this.nextPlanTime = 0;
+        this.plan = null;
+
+        // Decided once per incoming ball
+        this.aimOffset = { x: 0, y: 0 };
+        this.returnAngle = 0;
+    }
+
+    setDifficulty(difficulty) {
+        this.difficulty = DIFFICULTY_PROFILES[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+        this.profile = DIFFICULTY_PROFILES[this.difficulty];
+    }
+
+    computeInput(dt) {
+        const state = this.simulation.state;
+        const paddle = state.paddles[this.side];
+        const profile = this.profile;
+        this.time += dt;
+
+        const approaching = state.phase === 'rally' && this.getTargetBallIndex() !== -1;
+        if (approaching && !this.approaching) {
+            this.onBallApproaching();
+        }
+        this.approaching = approaching;
+
+        // Drift back to the middle while the ball is going away
+        if (!approaching) {
+            this.plan = null;
+            return this.moveTowards(paddle, this.getReadyPosition(), profile.trackingSpeed * 0.5 * dt);
+        }
+
+        // Still reacting: keep the paddle where it is
+        if (this.time < this.approachStart + profile.reactionDelay) {
+            return { ...paddle };
+        }
+
+        if (!this.plan || this.time >= this.nextPlanTime) {
+            this.plan = this.planIntercept();
+            this.nextPlanTime = this.time + profile.replanInterval;
+        }
+
+        return this.moveTowards(paddle, this.plan, profile.trackingSpeed * dt);
+    }
+
+    onBallApproaching() {
+        const profile = this.profile;
+
+        this.approachStart = this.time;
+        this.plan = null;
+        this.aimOffset.x = (this.random.next() * 2 - 1) * profile.aimError;
+        this.aimOffset.y = (this.random.next() * 2 - 1) * profile.aimError;
+
+        // Hit off centre to send the ball away from the opponent's paddle
+        this.returnAngle = 0;
+        if (this.random.next() < profile.angleChance) {
+            const opponent = this.simulation.state.paddles[this.side === 'near' ? 'far' : 'near'];
+            this.returnAngle = (opponent.x >= 0 ? -1 : 1) * profile.angleStrength;
+        }
+    }
+
+    // Of the balls heading this way (more than one with multi-ball), the one
+    // closest to the goal, or -1 if none is
+    getTargetBallIndex() {
+        let target = -1;
+        let closest = -Infinity;
+        this.simulation.getBalls().forEach((ball, index) => {
+            const progress = ball.position.z * this.direction;
+            if (Math.sign(ball.velocity.z) === this.direction && progress > closest) {
+                target = index;
+                closest = progress;
+            }
+        });
+        return target;
+    }
+
+    getReadyPosition() {
+        const c = this.simulation.config;
+        const home = this.simulation.getPaddleHome(this.side);
+        return { x: 0, y: c.tableHeight + c.playAreaHeight / 3, z: home.z };
+    }
+
+    planIntercept() {
+        const home = this.simulation.getPaddleHome(this.side);
+        const prediction = this.predictBall(home.z, Math.max(this.getTargetBallIndex(), 0));
+
+        // A far off ball is only followed as far as we can see; the paddle
+        // moves towards that point and refines it on the next plan
+        const halfWidth = this.simulation.getPaddleSize(this.side).width / 2;
+        return {
+            x: prediction.position.x + this.aimOffset.x - this.returnAngle * halfWidth,
+            y: prediction.position.y + this.aimOffset.y,
+            z: home.z
+        };
+    }
+
+    // Where a ball (by its index in getBalls()) will be when it reaches the
+    // paddle at paddleZ, or where it will be at the end of the prediction
+    // horizon if that comes first
+    predictBall(paddleZ, ballIndex = 0) {
+        const c = this.simulation.config;
+        const predictor = this.predictor;
+        const state = predictor.state;
+
+        // Rules can change mid-match from the settings
+        Object.assign(predictor.config, this.simulation.config);
+        predictor.applySnapshot(this.simulation.getSnapshot(), { sides: [] });
+        state.paddles.near.y = -1;
+        state.paddles.far.y = -1;
+
+        const contactZ = paddleZ - this.direction * (c.paddleDepth / 2 + c.ballRadius);
+        const steps = Math.ceil(this.profile.predictionHorizon / c.timestep);
+        const ball = predictor.getBalls()[ballIndex] || state.ball;
+
+        for (let i = 0; i < steps; i++) {
+            predictor.step({});
+
+            const reached = (ball.position.z - contactZ) * this.direction >= 0;
+            if (reached) {
+                // Blend back to the moment the ball crossed the contact plane
+                const travelled = ball.position.z - ball.lastPosition.z;
+                const t = travelled !== 0 ? (contactZ - ball.lastPosition.z) / travelled : 1;
+                return {
+                    reached: true,
+                    time: (i + t) * c.timestep,
+                    position: {
+                        x: ball.lastPosition.x + (ball.position.x - ball.lastPosition.x) * t,
+                        y: ball.lastPosition.y + (ball.position.y - ball.lastPosition.y) * t,
+                        z: contactZ
+                    }
+                };
+            }
+        }
+
+        return { reached: false, time: steps * c.timestep, position: { ...ball.position } };
+    }
+
+    moveTowards(from, to, maxDistance) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const dz = to.z - from.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (distance <= maxDistance || distance === 0) {
+            return { x: to.x, y: to.y, z: to.z };
+        }
+
+        const scale = maxDistance / distance;
+        return { x: from.x + dx * scale, y: from.y + dy * scale, z: from.z + dz * scale };
+    }
+}
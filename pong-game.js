@@ -1,9 +1,63 @@
 import * as THREE from 'three';
+import { experienceRegistry, mergeSessionInit } from './experience-registry.js';
+import { PongSimulation } from './pong-simulation.js';
+import { PongAI, DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY } from './pong-ai.js';
+import { PaddleControls, getHandTrackingSessionInit } from './paddle-controls.js';
+import { createSignaling } from './signaling.js';
+import { NetworkSession } from './network-session.js';
+import { OnlineMatch } from './online-match.js';
+import { SharedSpace, getSharedSpaceSessionInit } from './shared-space.js';
+import { GameTimers } from './game-timers.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from './replay.js';
+import { pongSettings, getRuleConfig, getAudioVolumes, RULE_SETTINGS, CONTROL_SETTINGS, AUDIO_SETTINGS } from './pong-settings.js';
+import { getDepthSensingSessionInit } from './depth-occlusion.js';
+import { Haptics } from './haptics.js';
+import { AudioEngine } from './audio-engine.js';
+import { getTheme } from './themes.js';
+import { ParticleEmitter } from './particle-emitter.js';
+import { BallTrail } from './ball-trail.js';
+import { POWER_UPS } from './power-ups.js';
+import { PowerUpVisuals } from './power-up-visuals.js';
+
+// Labels for each side of the table per game mode
+const SIDE_LABELS = {
+    single: { near: 'You', far: 'AI' },
+    'two-player': { near: 'Player 1', far: 'Player 2' },
+    'online-host': { near: 'You', far: 'Opponent' },
+    'online-guest': { near: 'You', far: 'Opponent' },
+    replay: { near: 'Near', far: 'Far' }
+};
+
+// Network role for the online modes
+const ONLINE_ROLES = {
+    'online-host': 'host',
+    'online-guest': 'guest'
+};
+
+// Shown while the WebXR anchor holding the table isn't tracked
+const ANCHOR_LOST_STATUS = 'Lost track of the table, point the camera back at it';
+const SIGNALING_MISSING_STATUS = 'Online play needs a signaling server, enter its ws:// or wss:// URL in the options';
 
 export class PongGame {
-    constructor(arScene, debug) {
+    constructor(arScene, debug, options = {}) {
         this.arScene = arScene;
         this.debug = debug;
+        this.mode = SIDE_LABELS[options.mode] ? options.mode : 'single';
+        this.options = options;
+        this.networkRole = ONLINE_ROLES[this.mode] || null;
+        
+        // Replays are watched in the debug scene and labelled like the recorded match
+        this.replay = null;
+        this.replayError = null;
+        this.replayPlayer = null;
+        if (this.mode === 'replay') {
+            try {
+                this.replay = parseReplay(options.replayFile);
+            } catch (error) {
+                this.replayError = options.replayFile ? error.message : 'Choose a replay file to watch';
+            }
+        }
+        this.labelMode = SIDE_LABELS[this.replay?.metadata?.mode] ? this.replay.metadata.mode : this.mode;
         
         // Game objects
         this.table = null;
@@ -11,75 +65,115 @@ export class PongGame {
         this.playerPaddle = null;
         this.aiPaddle = null;
         this.walls = [];
-        this.particles = [];
+        this.ballTrail = null;
+        this.powerUpVisuals = null;
+        this.particleEmitter = null;
         this.scoreIndicators = [];
         
-        // Game state
+        // Game rules run in a DOM-free simulation, this class renders it.
+        // Online guests follow the host's simulation instead of running their own rules.
+        this.simulation = new PongSimulation(this.replay ? this.replay.config : getRuleConfig(), {
+            authoritative: this.networkRole !== 'guest'
+        });
+        this.simulationListeners = [];
+        this.onlineMatch = null;
+        
+        // Co-located online players align their tables to a shared marker
+        this.colocation = this.networkRole && options.colocation && options.colocation !== 'off'
+            ? options.colocation
+            : null;
+        this.sharedSpace = null;
+        
+        // The far paddle is the computer, a second local player or a remote player
+        this.ai = this.mode === 'single'
+            ? new PongAI(this.simulation, { side: 'far', difficulty: options.difficulty })
+            : null;
+        this.controls = new PaddleControls(arScene, this.simulation, {
+            sides: this.mode === 'two-player' ? ['near', 'far'] : ['near'],
+            debug: this.debug
+        });
+        this.controls.verticalSensitivity = pongSettings.get('verticalSensitivity');
+        this.controls.depthSensitivity = pongSettings.get('depthSensitivity');
+        this.controls.setControlScheme(pongSettings.get('controlScheme'));
+        this.settingsListener = null;
+        
+        // Rule changes made together, e.g. by a settings reset, are applied at
+        // once so the board is rebuilt and the config sent a single time
+        this.pendingRules = null;
+        
+        // Matches this device runs the rules for can be saved as replays
+        this.recorder = this.mode !== 'replay' && this.networkRole !== 'guest'
+            ? new ReplayRecorder(this.simulation, {
+                metadata: {
+                    mode: this.mode,
+                    difficulty: this.ai?.difficulty
+                }
+            })
+            : null;
+        
+        // Game state. Match phases live in the simulation; the game itself is
+        // either running or paused, and its effect timers stop with it.
         this.isPlaying = false;
-        this.playerScore = 0;
-        this.aiScore = 0;
-        this.ballVelocity = new THREE.Vector3(0, 0, 0);
-        this.ballSpeed = 0.5;
-        this.lastPosition = new THREE.Vector3();
+        this.paused = false;
         this.gameStartTime = 0;
-        this.gameLevel = 1;
-        this.winningScore = 5;
-        
-        // Game dimensions for 3D
-        this.tableWidth = 0.8;
-        this.tableDepth = 1.2;
-        this.tableHeight = 0.01; 
-        this.playAreaHeight = 0.6; 
-        this.wallHeight = this.playAreaHeight; 
-        this.paddleWidth = 0.15;
-        this.paddleHeight = 0.15; 
-        this.paddleDepth = 0.01;
-        this.ballRadius = 0.02;
-        
-        // Add gravity effect
-        this.gravity = -0.3; 
-        this.groundDamping = 0.8; 
-        
-        // Touch/pointer interaction
-        this.pointerDown = false;
-        this.pointerPosition = new THREE.Vector2();
-        this.raycaster = new THREE.Raycaster();
-        this.localTouchPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -(this.tableHeight + this.paddleHeight / 2));
-        
-        // Add vertical movement range for paddles
-        this.paddleMinHeight = this.tableHeight + this.paddleHeight / 2;
-        this.paddleMaxHeight = this.tableHeight + this.playAreaHeight - this.paddleHeight / 2;
-
+        this.timers = new GameTimers();
+        this.bannerText = null;
+        
+        // Game dimensions for 3D (taken from the simulation config)
+        this.updateDimensions();
+        
+        // Colors, materials and effect styles the board is built with
+        this.theme = getTheme(pongSettings.get('theme'));
+        
         // DOM Elements
         this.playerScoreElement = document.getElementById('playerScore');
         this.aiScoreElement = document.getElementById('aiScore');
+        this.playerLabelElement = document.getElementById('playerLabel');
+        this.aiLabelElement = document.getElementById('aiLabel');
+        this.statusElement = document.getElementById('matchStatus');
+        this.bannerElement = document.getElementById('matchBanner');
+        this.pauseButton = document.getElementById('pauseButton');
+        this.rematchButton = document.getElementById('rematchButton');
+        this.quitButton = document.getElementById('quitButton');
+        this.saveReplayButton = document.getElementById('saveReplayButton');
+        this.recenterButton = document.getElementById('recenterButton');
+        this.replayControls = document.getElementById('replayControls');
+        this.replayPlayButton = document.getElementById('replayPlayButton');
+        this.replayScrubber = document.getElementById('replayScrubber');
+        this.replayTimeElement = document.getElementById('replayTime');
+        this.replaySpeedSelect = document.getElementById('replaySpeed');
+        this.replayListeners = [];
+        this.replayTimeText = null;
         
         // Effects
-        this.particlePool = [];
         this.particleCount = 50;
-        this.trailUpdateCounter = 0;
         
-        // Sound effects
-        this.audioContext = null;
-        try {
-            window.AudioContext = window.AudioContext || window.webkitAudioContext;
-            if (window.AudioContext) {
-                this.audioContext = new AudioContext();
+        // Vibration on hits and points for the players on this device
+        this.haptics = new Haptics(arScene, debug);
+        this.haptics.enabled = this.mode !== 'replay' && pongSettings.get('haptics');
+        
+        // Sound effects and music, heard from where the camera is
+        this.audio = new AudioEngine(debug);
+        this.audio.setVolumes(getAudioVolumes());
+        this.audio.setMuted(pongSettings.get('muted'));
+        this.audio.setSoundSet(this.theme.sounds);
+        this.muteButton = document.getElementById('muteButton');
+        
+        // Keep a single bound reference so the callback can be removed again
+        this.onUpdate = this.update.bind(this);
+        this.onPauseClicked = () => (this.paused ? this.resume() : this.pause());
+        this.onRematchClicked = () => this.requestRematch();
+        this.onQuitClicked = () => this.quit();
+        this.onSaveReplayClicked = () => this.saveReplay();
+        this.onRecenterClicked = () => this.controls.calibrate();
+        this.onMuteClicked = () => pongSettings.set('muted', !pongSettings.get('muted'));
+        this.onAnchorLost = () => this.setStatus(ANCHOR_LOST_STATUS);
+        this.onAnchorRestored = () => {
+            // Leave other messages, e.g. from the online match, alone
+            if (this.statusElement?.textContent === ANCHOR_LOST_STATUS) {
+                this.setStatus('');
             }
-        } catch (e) {
-            this.debug.warn("Web Audio API not supported:", e);
-        }
-        
-        // Enhanced 3D movement parameters
-        this.paddleVerticalRange = this.playAreaHeight - this.paddleHeight;
-        this.paddleDepthRange = this.tableDepth * 0.4; // 40% of table depth for movement
-        this.aiPaddleMovementSpeed = 0.5;
-        
-        // Touch/pointer interaction for 3D
-        this.lastPointerPosition = new THREE.Vector2();
-        this.pointerDelta = new THREE.Vector2();
-        this.verticalSensitivity = 1.0;
-        this.depthSensitivity = 0.5;
+        };
         
         this.debug.log("PongGame constructor initialized");
     }
@@ -90,54 +184,378 @@ export class PongGame {
         // Create the game environment
         this.createTable();
         this.createBall();
+        this.createBallTrail();
         this.createPaddles();
         this.createWalls();
-        this.createParticlePool();
+        this.createParticleEmitter();
         
-        // Setup event listeners
-        this.setupEventListeners();
+        // Arcade power-ups, extra balls and goal shields
+        this.powerUpVisuals = new PowerUpVisuals(this.arScene, this.simulation);
+        this.powerUpVisuals.setBallLook(this.ball);
+        
+        // Setup event listeners, replays have no players to control
+        if (this.mode !== 'replay') {
+            this.controls.attach();
+        }
+        this.setupSimulationEvents();
+        this.settingsListener = pongSettings.on('change', (change) => this.onSettingChanged(change));
+        this.arScene.setOcclusionEnabled(pongSettings.get('occlusion'));
+        this.pauseButton?.addEventListener('click', this.onPauseClicked);
+        this.rematchButton?.addEventListener('click', this.onRematchClicked);
+        this.quitButton?.addEventListener('click', this.onQuitClicked);
+        this.saveReplayButton?.addEventListener('click', this.onSaveReplayClicked);
+        this.recenterButton?.addEventListener('click', this.onRecenterClicked);
+        this.muteButton?.addEventListener('click', this.onMuteClicked);
+        this.updateMuteButton();
+        this.audio.setMusicEnabled(pongSettings.get('music'));
+        document.addEventListener('ar-anchor-lost', this.onAnchorLost);
+        document.addEventListener('ar-anchor-restored', this.onAnchorRestored);
+        
+        if (this.mode === 'replay') {
+            this.startReplay();
+        } else if (this.recorder) {
+            this.recorder.start();
+        }
         
         // Add update callback
-        this.arScene.addUpdateCallback(this.update.bind(this));
+        this.arScene.addUpdateCallback(this.onUpdate);
         
-        // Start the game
-        this.resetBall(true);
+        // Start the game, the simulation counts down before the first serve
+        this.syncFromSimulation();
         this.isPlaying = true;
         this.gameStartTime = Date.now();
         
-        // Reset scores
-        this.playerScore = 0;
-        this.aiScore = 0;
+        this.updateScoreLabels();
         this.updateScoreDisplay();
+        this.updateMatchUI();
+        
+        if (this.networkRole) {
+            this.startOnlineMatch();
+        }
+        
+        this.debug.log(`PongGame initialized in ${this.mode} mode${this.ai ? ` (${this.ai.profile.label} AI)` : ''}`);
+    }
+    
+    startReplay() {
+        if (!this.replay) {
+            this.debug.warn("Cannot watch replay:", this.replayError);
+            this.setStatus(this.replayError);
+            return;
+        }
         
-        this.debug.log("PongGame initialized successfully");
+        this.replayPlayer = new ReplayPlayer(this.simulation, this.replay);
+        if (!this.replayPlayer.verified) {
+            this.debug.warn("Replay playback does not end with the recorded score, the file may come from another version");
+        }
+        
+        // The player applies recorded rule changes and jumps between keyframes
+        this.replayPlayer.on('seek', () => {
+            this.onRulesChanged();
+            this.resyncView();
+            this.updateScoreDisplay();
+        });
+        this.replayPlayer.on('ended', () => this.updateReplayControls());
+        this.simulationListeners.push(this.simulation.on('config', () => this.onRulesChanged()));
+        this.onRulesChanged();
+        this.resyncView();
+        
+        const listen = (element, type, handler) => {
+            if (!element) return;
+            element.addEventListener(type, handler);
+            this.replayListeners.push(() => element.removeEventListener(type, handler));
+        };
+        
+        listen(this.replayPlayButton, 'click', () => {
+            if (this.replayPlayer.playing) {
+                this.replayPlayer.pause();
+            } else {
+                this.replayPlayer.play();
+            }
+            this.updateReplayControls();
+        });
+        listen(this.replayScrubber, 'input', () => {
+            this.replayPlayer.seek(Number(this.replayScrubber.value));
+            this.updateReplayControls();
+        });
+        listen(this.replaySpeedSelect, 'change', () => {
+            this.replayPlayer.setSpeed(Number(this.replaySpeedSelect.value));
+        });
+        
+        if (this.replayScrubber) {
+            this.replayScrubber.max = this.replay.ticks;
+        }
+        if (this.replaySpeedSelect) {
+            this.replaySpeedSelect.value = '1';
+        }
+        this.replayControls?.classList.add('visible');
+        this.updateReplayControls();
+        
+        const recorded = this.replay.createdAt ? new Date(this.replay.createdAt).toLocaleString() : 'unknown date';
+        this.debug.log(`Watching ${this.labelMode} replay from ${recorded}, ${this.replayPlayer.duration.toFixed(1)}s long`);
+    }
+    
+    updateReplayControls() {
+        const player = this.replayPlayer;
+        if (!player) return;
+        
+        const formatTime = (seconds) => {
+            const whole = Math.floor(seconds);
+            return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+        };
+        
+        // Only touch the DOM when something changed
+        const text = `${formatTime(player.time)} / ${formatTime(player.duration)}`;
+        const key = `${player.tick}|${player.playing}`;
+        if (key === this.replayTimeText) return;
+        this.replayTimeText = key;
+        
+        if (this.replayTimeElement) this.replayTimeElement.textContent = text;
+        if (this.replayScrubber) this.replayScrubber.value = player.tick;
+        if (this.replayPlayButton) this.replayPlayButton.textContent = player.playing ? 'Pause' : 'Play';
+    }
+    
+    // Download everything recorded since the game started as a replay file
+    saveReplay() {
+        if (!this.recorder || this.recorder.ticks === 0) {
+            this.debug.warn("Nothing recorded to save yet");
+            return;
+        }
+        
+        const blob = new Blob([this.recorder.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pong-replay-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        this.debug.log(`Saved replay of ${this.recorder.ticks} steps (${(blob.size / 1024).toFixed(1)} KB)`);
+    }
+    
+    async startOnlineMatch() {
+        const room = this.options.room || 'pong';
+        
+        // The two devices can only find each other through a WebSocket relay
+        const address = (this.options.signaling || '').trim();
+        if (!/^wss?:\/\//i.test(address)) {
+            this.debug.warn(`Cannot start online match, "${address}" is not a WebSocket signaling server`);
+            this.setStatus(SIGNALING_MISSING_STATUS);
+            return;
+        }
+        
+        const signaling = createSignaling(address);
+        const session = new NetworkSession(signaling, { role: this.networkRole, room });
+        
+        this.onlineMatch = new OnlineMatch(this.simulation, session);
+        this.onlineMatch.on('connected', () => {
+            this.debug.log(`Connected to opponent in room "${room}" as ${this.networkRole}`);
+            this.setStatus('');
+        });
+        this.onlineMatch.on('config', () => this.onRulesChanged());
+        this.onlineMatch.on('pause', ({ paused }) => {
+            // The opponent paused or resumed, follow without echoing it back
+            if (paused) {
+                this.pause({ remote: true });
+            } else {
+                this.resume({ remote: true });
+            }
+        });
+        this.onlineMatch.on('disconnected', ({ wasConnected }) => {
+            this.debug.warn("Online match connection closed");
+            this.setStatus(wasConnected ? 'Opponent disconnected' : 'Could not connect to opponent');
+        });
+        session.on('error', (error) => this.debug.error("Network error:", error.message));
+        this.onlineMatch.start();
+        
+        if (this.colocation) {
+            this.sharedSpace = new SharedSpace(this.arScene, this.debug, this.onlineMatch, { method: this.colocation });
+            this.sharedSpace.on('status', (message) => this.setStatus(message));
+            this.sharedSpace.start();
+        }
+        
+        this.setStatus(this.networkRole === 'host'
+            ? `Waiting for an opponent to join "${room}"...`
+            : `Joining "${room}"...`);
+        
+        try {
+            await session.connect();
+        } catch (error) {
+            this.debug.error("Failed to connect online match:", error);
+            this.setStatus('Could not reach the signaling server');
+        }
+    }
+    
+    updateDimensions() {
+        const config = this.simulation.config;
+        this.tableWidth = config.tableWidth;
+        this.tableDepth = config.tableDepth;
+        this.tableHeight = config.tableHeight; 
+        this.playAreaHeight = config.playAreaHeight; 
+        this.wallHeight = this.playAreaHeight; 
+        this.paddleWidth = config.paddleWidth;
+        this.paddleHeight = config.paddleHeight; 
+        this.paddleDepth = config.paddleDepth;
+        this.ballRadius = config.ballRadius;
+    }
+    
+    onSettingChanged({ id, value }) {
+        if (AUDIO_SETTINGS.includes(id)) {
+            this.onAudioSettingChanged(id, value);
+            return;
+        }
+        
+        if (id === 'theme') {
+            this.setTheme(value);
+            return;
+        }
+        
+        // Replays play by the rules they were recorded with
+        if (this.mode === 'replay') return;
+        
+        if (CONTROL_SETTINGS.includes(id)) {
+            this.controls[id] = value;
+            return;
+        }
+        
+        if (id === 'controlScheme') {
+            this.controls.setControlScheme(value);
+            this.updateMatchUI();
+            return;
+        }
+        
+        if (id === 'occlusion') {
+            this.arScene.setOcclusionEnabled(value);
+            return;
+        }
+        
+        if (id === 'haptics') {
+            this.haptics.setEnabled(value);
+            return;
+        }
+        
+        if (!RULE_SETTINGS.includes(id)) return;
+        
+        // Online guests play by the host's rules
+        if (this.networkRole === 'guest') {
+            this.debug.log(`Setting ${id} is decided by the host in online matches`);
+            return;
+        }
+        
+        if (!this.pendingRules) {
+            this.pendingRules = {};
+            queueMicrotask(() => this.applyPendingRules());
+        }
+        this.pendingRules[id] = value;
+    }
+    
+    applyPendingRules() {
+        const rules = this.pendingRules;
+        this.pendingRules = null;
+        if (!rules) return;
+        
+        this.simulation.updateConfig(rules);
+        this.onRulesChanged();
+        
+        if (this.onlineMatch) {
+            this.onlineMatch.sendConfig();
+        }
+    }
+    
+    // Rebuild the table when its size changed; other rules don't touch the board
+    onRulesChanged() {
+        const config = this.simulation.config;
+        const resized = config.tableWidth !== this.tableWidth || config.tableDepth !== this.tableDepth;
+        
+        this.updateDimensions();
+        if (!resized) return;
+        
+        this.rebuildBoard();
+        this.debug.log(`Table resized to ${this.tableWidth}m x ${this.tableDepth}m`);
+        
+        // Paddles were clamped to the new table and the ball may have been put back
+        this.resyncView();
+    }
+    
+    // Snap the view to the simulation after the ball or paddles jumped, e.g.
+    // to a replay seek position, instead of trailing or smoothing towards it
+    resyncView() {
+        this.ballTrail.reset();
+        this.controls.resetTargets();
+        this.syncFromSimulation();
+    }
+    
+    rebuildBoard() {
+        if (this.table) this.arScene.disposeObject(this.table);
+        for (const wall of this.walls) {
+            this.arScene.disposeObject(wall);
+        }
+        this.walls = [];
+        
+        this.createTable();
+        this.createWalls();
+        this.powerUpVisuals.createShields();
+    }
+    
+    // Switch themes mid-match by building the board again in the new look
+    setTheme(id) {
+        this.theme = getTheme(id);
+        this.audio.setSoundSet(this.theme.sounds);
+        
+        this.rebuildBoard();
+        
+        if (this.ball) this.arScene.disposeObject(this.ball);
+        if (this.playerPaddle) this.arScene.disposeObject(this.playerPaddle);
+        if (this.aiPaddle) this.arScene.disposeObject(this.aiPaddle);
+        this.ballTrail.setStyle(this.theme.trail);
+        this.particleEmitter.setStyle(this.theme.particles);
+        
+        this.createBall();
+        this.createPaddles();
+        this.powerUpVisuals.setBallLook(this.ball);
+        this.syncFromSimulation();
+        
+        this.debug.log(`Theme set to ${this.theme.label}`);
+    }
+    
+    setStatus(message) {
+        if (!this.statusElement) return;
+        
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('visible', Boolean(message));
     }
     
     createTable() {
         this.debug.log("Creating game table");
         
+        const style = this.theme.table;
+        
         // Create a semi-transparent table at specified height
         this.table = this.arScene.createHorizontalPlane(
             this.tableWidth, 
             this.tableDepth, 
-            0x1a75ff, 
+            style.color, 
             this.tableHeight
         );
+        this.table.material.opacity = style.opacity;
         
         // Add grid lines to the table for better depth perception
-        const gridHelper = new THREE.GridHelper(this.tableWidth, 10, 0xffffff, 0xffffff);
-        gridHelper.rotation.x = Math.PI / 2;
-        gridHelper.position.y = 0.001; // Just above the table
-        gridHelper.material.opacity = 0.2;
-        gridHelper.material.transparent = true;
-        this.table.add(gridHelper);
+        if (style.lineOpacity > 0) {
+            const gridHelper = new THREE.GridHelper(this.tableWidth, 10, style.lines, style.lines);
+            gridHelper.rotation.x = Math.PI / 2;
+            gridHelper.position.y = 0.001; // Just above the table
+            gridHelper.material.opacity = style.lineOpacity;
+            gridHelper.material.transparent = true;
+            this.table.add(gridHelper);
+        }
         
         // Add a visual boundary to the table
         const tableBoundaryGeometry = new THREE.EdgesGeometry(
             new THREE.BoxGeometry(this.tableWidth, 0.01, this.tableDepth)
         );
         const tableBoundaryMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x00ffff,
+            color: style.edge,
             linewidth: 2 // Note: linewidth may not work in all browsers/GPUs
         });
         const tableBoundary = new THREE.LineSegments(tableBoundaryGeometry, tableBoundaryMaterial);
@@ -146,7 +564,7 @@ export class PongGame {
         // Add center line
         const centerLineGeometry = new THREE.BoxGeometry(this.tableWidth, 0.001, 0.005);
         const centerLineMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffffff,
+            color: style.lines,
             transparent: true,
             opacity: 0.7
         });
@@ -157,7 +575,7 @@ export class PongGame {
         // Add a center circle
         const circleGeometry = new THREE.RingGeometry(0.1, 0.102, 32);
         const circleMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xffffff, 
+            color: style.lines, 
             transparent: true, 
             opacity: 0.5,
             side: THREE.DoubleSide
@@ -168,670 +586,401 @@ export class PongGame {
         this.table.add(centerCircle);
         
         // Add a soft glow to the table edges
-        const glowGeometry = new THREE.BoxGeometry(this.tableWidth * 1.02, 0.01, this.tableDepth * 1.02);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ffff,
-            transparent: true,
-            opacity: 0.2,
-            side: THREE.DoubleSide
-        });
-        const tableGlow = new THREE.Mesh(glowGeometry, glowMaterial);
-        tableGlow.position.y = -0.005;
-        this.table.add(tableGlow);
+        if (style.glowOpacity > 0) {
+            const glowGeometry = new THREE.BoxGeometry(this.tableWidth * 1.02, 0.01, this.tableDepth * 1.02);
+            const glowMaterial = new THREE.MeshBasicMaterial({
+                color: style.glow,
+                transparent: true,
+                opacity: style.glowOpacity,
+                side: THREE.DoubleSide
+            });
+            const tableGlow = new THREE.Mesh(glowGeometry, glowMaterial);
+            tableGlow.position.y = -0.005;
+            this.table.add(tableGlow);
+        }
     }
     
     createBall() {
         this.debug.log("Creating game ball");
         
+        const style = this.theme.ball;
+        
         // Create a spherical ball
         const ballGeometry = new THREE.SphereGeometry(this.ballRadius, 16, 16);
         const ballMaterial = new THREE.MeshPhongMaterial({
-            color: 0xffffff,
+            color: style.color,
             transparent: true,
-            opacity: 0.9,
-            emissive: 0x444444,
-            shininess: 100
+            opacity: style.opacity,
+            emissive: style.emissive,
+            shininess: style.shininess,
+            combine: THREE.MixOperation,
+            reflectivity: 0.3
         });
+        ballMaterial.userData.reflective = true;
         
         this.ball = new THREE.Mesh(ballGeometry, ballMaterial);
         this.ball.position.y = this.tableHeight + this.ballRadius; // Position just above the table
         this.ball.castShadow = true;
         
         // Add glow effect
-        const glowGeometry = new THREE.SphereGeometry(this.ballRadius * 1.2, 16, 16);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ffff,
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.BackSide
-        });
-        
-        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-        this.ball.add(glow);
-        
-        // Add a trail effect
-        const trail = this.createTrailEffect();
-        this.ball.add(trail);
-        
-        this.arScene.addObject(this.ball);
-    }
-    
-    createTrailEffect() {
-        // Create a particle system for the trail effect
-        const particleCount = 50;
-        const particles = new THREE.BufferGeometry();
-        
-        const positions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
-        
-        // Initialize positions and colors
-        for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = 0;
-            positions[i * 3 + 1] = 0;
-            positions[i * 3 + 2] = -i * 0.01; // Trail behind the ball
+        if (style.glowOpacity > 0) {
+            const glowGeometry = new THREE.SphereGeometry(this.ballRadius * 1.2, 16, 16);
+            const glowMaterial = new THREE.MeshBasicMaterial({
+                color: style.glow,
+                transparent: true,
+                opacity: style.glowOpacity,
+                side: THREE.BackSide
+            });
             
-            // Fade out color
-            const alpha = 1 - (i / particleCount);
-            colors[i * 3] = 0; // R
-            colors[i * 3 + 1] = 1 * alpha; // G
-            colors[i * 3 + 2] = 1 * alpha; // B
+            const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+            this.ball.add(glow);
         }
         
-        particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        particles.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        
-        const particleMaterial = new THREE.PointsMaterial({
-            size: 0.01,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.8,
-            blending: THREE.AdditiveBlending
-        });
-        
-        return new THREE.Points(particles, particleMaterial);
-    }
-    
-    createParticlePool() {
-        // Create a pool of particle systems for effects
-        for (let i = 0; i < 10; i++) {
-            const particleSystem = this.createParticleSystem();
-            this.particlePool.push(particleSystem);
-            particleSystem.visible = false;
-            this.arScene.addObject(particleSystem);
-        }
+        this.arScene.addObject(this.ball);
     }
     
-    createParticleSystem(count = 30) {
-        const particles = new THREE.BufferGeometry();
-        const positions = new Float32Array(count * 3);
-        const colors = new Float32Array(count * 3);
-        const sizes = new Float32Array(count);
-        
-        for (let i = 0; i < count; i++) {
-            positions[i * 3] = 0;
-            positions[i * 3 + 1] = 0;
-            positions[i * 3 + 2] = 0;
-            
-            colors[i * 3] = Math.random(); // R
-            colors[i * 3 + 1] = Math.random(); // G
-            colors[i * 3 + 2] = Math.random(); // B
-            
-            sizes[i] = 0.01 + Math.random() * 0.02;
-        }
-        
-        particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        particles.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        particles.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-        
-        const material = new THREE.PointsMaterial({
-            size: 0.02,
-            vertexColors: true,
-            transparent: true,
-            opacity: 0.8,
-            blending: THREE.AdditiveBlending
-        });
-        
-        const particleSystem = new THREE.Points(particles, material);
-        particleSystem.userData = {
-            velocities: new Float32Array(count * 3),
-            active: false,
-            lifetime: 0,
-            maxLifetime: 1.0
-        };
-        
-        return particleSystem;
+    createBallTrail() {
+        // Drawn beside the ball rather than on it, so it stays where the ball was
+        this.ballTrail = new BallTrail(this.theme.trail);
+        this.arScene.addObject(this.ballTrail.mesh);
     }
     
-    emitParticles(position, color, count = 30, speed = 0.1) {
-        // Find an available particle system from the pool
-        let particleSystem = null;
-        for (const ps of this.particlePool) {
-            if (!ps.userData.active) {
-                particleSystem = ps;
-                break;
-            }
-        }
-        
-        // If no available system, return
-        if (!particleSystem) return;
-        
-        // Setup particle system
-        particleSystem.position.copy(position);
-        particleSystem.visible = true;
-        
-        const positions = particleSystem.geometry.attributes.position.array;
-        const colors = particleSystem.geometry.attributes.color.array;
-        const velocities = particleSystem.userData.velocities;
-        
-        // Set color for all particles
-        for (let i = 0; i < count; i++) {
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
-            
-            // Initial positions (at center)
-            positions[i * 3] = 0;
-            positions[i * 3 + 1] = 0;
-            positions[i * 3 + 2] = 0;
-            
-            // Random velocities in a sphere
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
-            const r = Math.random() * speed;
-            
-            velocities[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-            velocities[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-            velocities[i * 3 + 2] = r * Math.cos(phi);
-        }
-        
-        particleSystem.geometry.attributes.position.needsUpdate = true;
-        particleSystem.geometry.attributes.color.needsUpdate = true;
-        
-        // Activate the particle system
-        particleSystem.userData.active = true;
-        particleSystem.userData.lifetime = 0;
-        
-        // Store in active particles array
-        this.particles.push(particleSystem);
+    createParticleEmitter() {
+        // One GPU-animated point cloud for every burst of particles
+        this.particleEmitter = new ParticleEmitter(this.theme.particles);
+        this.arScene.addObject(this.particleEmitter.points);
     }
     
-    updateParticles(deltaTime) {
-        for (let i = 0; i < this.particles.length; i++) {
-            const ps = this.particles[i];
-            
-            // Update lifetime
-            ps.userData.lifetime += deltaTime;
-            
-            // If expired, deactivate
-            if (ps.userData.lifetime >= ps.userData.maxLifetime) {
-                ps.userData.active = false;
-                ps.visible = false;
-                this.particles.splice(i, 1);
-                i--;
-                continue;
-            }
-            
-            // Update particle positions based on velocities
-            const positions = ps.geometry.attributes.position.array;
-            const velocities = ps.userData.velocities;
-            const colors = ps.geometry.attributes.color.array;
-            const lifePercent = ps.userData.lifetime / ps.userData.maxLifetime;
-            
-            for (let j = 0; j < positions.length / 3; j++) {
-                // Update position
-                positions[j * 3] += velocities[j * 3] * deltaTime;
-                positions[j * 3 + 1] += velocities[j * 3 + 1] * deltaTime;
-                positions[j * 3 + 2] += velocities[j * 3 + 2] * deltaTime;
-                
-                // Add gravity
-                velocities[j * 3 + 1] -= 0.01 * deltaTime;
-                
-                // Fade out
-                const alpha = 1 - lifePercent;
-                for (let k = 0; k < 3; k++) {
-                    colors[j * 3 + k] *= alpha;
-                }
-            }
-            
-            ps.geometry.attributes.position.needsUpdate = true;
-            ps.geometry.attributes.color.needsUpdate = true;
-        }
+    emitParticles(position, color, count = 30, speed = 0.1, lifetime = 1) {
+        this.particleEmitter.emit(position, color, { count, speed, lifetime });
     }
     
-    updateTrail() {
-        // Only update trail every few frames for performance
-        this.trailUpdateCounter++;
-        if (this.trailUpdateCounter % 2 !== 0) return;
-        
-        if (this.ball) {
-            const trail = this.ball.children.find(child => child instanceof THREE.Points);
-            if (trail) {
-                const positions = trail.geometry.attributes.position.array;
-                
-                // Shift all positions forward
-                for (let i = positions.length / 3 - 1; i > 0; i--) {
-                    positions[i * 3] = positions[(i - 1) * 3];
-                    positions[i * 3 + 1] = positions[(i - 1) * 3 + 1];
-                    positions[i * 3 + 2] = positions[(i - 1) * 3 + 2];
-                }
-                
-                // Set first position to current ball position (in local space)
-                positions[0] = 0;
-                positions[1] = 0;
-                positions[2] = 0;
-                
-                trail.geometry.attributes.position.needsUpdate = true;
-            }
-        }
+    updateTrail(deltaTime, viewMatrix) {
+        const { velocity, spin } = this.simulation.state.ball;
+        this.ballTrail.update(deltaTime, this.ball.position, {
+            speed: this.getHitStrength(velocity),
+            spin: Math.sqrt(spin.x * spin.x + spin.y * spin.y + spin.z * spin.z)
+        }, new THREE.Vector3().setFromMatrixPosition(viewMatrix));
     }
     
     createPaddles() {
         this.debug.log("Creating game paddles");
         
-        // Create player paddle with 3D movement
+        // One geometry for both paddles, the player's near and the opponent's far
         const paddleGeometry = new THREE.BoxGeometry(this.paddleWidth, this.paddleHeight, this.paddleDepth);
-        const playerMaterial = new THREE.MeshPhongMaterial({
-            color: 0x00ff88,
-            transparent: true,
-            opacity: 0.8,
-            shininess: 80
-        });
-        
-        this.playerPaddle = new THREE.Mesh(paddleGeometry, playerMaterial);
-        this.playerPaddle.position.set(0, this.tableHeight + this.paddleHeight / 2, this.tableDepth / 2 - 0.05);
-        this.playerPaddle.castShadow = true;
-        
-        // Add glow to player paddle
-        const playerGlowGeometry = new THREE.BoxGeometry(
-            this.paddleWidth * 1.1, 
-            this.paddleHeight * 1.1, 
-            this.paddleDepth * 1.1
-        );
-        const playerGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff88,
-            transparent: true,
-            opacity: 0.2,
-            side: THREE.BackSide
-        });
-        const playerGlow = new THREE.Mesh(playerGlowGeometry, playerGlowMaterial);
-        this.playerPaddle.add(playerGlow);
-        
-        // Add lights to player paddle for dramatic effect
-        const playerPointLight = new THREE.PointLight(0x00ff88, 0.5, 0.3);
-        playerPointLight.position.set(0, 0, 0);
-        this.playerPaddle.add(playerPointLight);
+        this.playerPaddle = this.createPaddle(paddleGeometry, 'near');
+        this.aiPaddle = this.createPaddle(paddleGeometry, 'far');
         
-        this.arScene.addObject(this.playerPaddle);
-        
-        // Create AI paddle
-        const aiMaterial = new THREE.MeshPhongMaterial({
-            color: 0xff3366,
-            transparent: true,
-            opacity: 0.8,
-            shininess: 80
-        });
-        
-        this.aiPaddle = new THREE.Mesh(paddleGeometry, aiMaterial);
-        this.aiPaddle.position.set(0, this.tableHeight + this.paddleHeight / 2, -this.tableDepth / 2 + 0.05);
-        this.aiPaddle.castShadow = true;
+        // Add vertical movement properties
+        this.playerPaddle.userData.verticalPosition = 0;
+        this.aiPaddle.userData.verticalPosition = 0;
+    }
+    
+    createPaddle(geometry, side) {
+        const style = this.theme.paddles;
+        const color = style[side];
         
-        // Add glow to AI paddle
-        const aiGlowGeometry = new THREE.BoxGeometry(
-            this.paddleWidth * 1.1, 
-            this.paddleHeight * 1.1, 
-            this.paddleDepth * 1.1
-        );
-        const aiGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xff3366,
+        // Paddles move in 3D
+        const material = new THREE.MeshPhongMaterial({
+            color,
             transparent: true,
-            opacity: 0.2,
-            side: THREE.BackSide
+            opacity: style.opacity,
+            shininess: style.shininess,
+            combine: THREE.MixOperation,
+            reflectivity: 0.15
         });
-        const aiGlow = new THREE.Mesh(aiGlowGeometry, aiGlowMaterial);
-        this.aiPaddle.add(aiGlow);
-        
-        // Add lights to AI paddle
-        const aiPointLight = new THREE.PointLight(0xff3366, 0.5, 0.3);
-        aiPointLight.position.set(0, 0, 0);
-        this.aiPaddle.add(aiPointLight);
+        material.userData.reflective = true;
+        
+        const paddle = new THREE.Mesh(geometry, material);
+        const home = this.simulation.getPaddleHome(side);
+        paddle.position.set(home.x, home.y, home.z);
+        paddle.castShadow = true;
+        
+        // Add glow to the paddle
+        if (style.glowOpacity > 0) {
+            const glowGeometry = new THREE.BoxGeometry(
+                this.paddleWidth * 1.1, 
+                this.paddleHeight * 1.1, 
+                this.paddleDepth * 1.1
+            );
+            const glowMaterial = new THREE.MeshBasicMaterial({
+                color,
+                transparent: true,
+                opacity: style.glowOpacity,
+                side: THREE.BackSide
+            });
+            paddle.add(new THREE.Mesh(glowGeometry, glowMaterial));
+        }
         
-        this.arScene.addObject(this.aiPaddle);
+        // Add a light to the paddle for dramatic effect
+        if (style.lightIntensity > 0) {
+            const pointLight = new THREE.PointLight(color, style.lightIntensity, 0.3);
+            pointLight.position.set(0, 0, 0);
+            paddle.add(pointLight);
+        }
         
-        // Add vertical movement properties
-        this.playerPaddle.userData.verticalPosition = 0;
-        this.aiPaddle.userData.verticalPosition = 0;
+        this.arScene.addObject(paddle);
+        return paddle;
     }
     
     createWalls() {
         this.debug.log("Creating game walls");
         
+        const style = this.theme.walls;
+        
         // Create side walls
         const wallGeometry = new THREE.BoxGeometry(0.02, this.wallHeight, this.tableDepth);
         const wallMaterial = new THREE.MeshPhongMaterial({
-            color: 0xaaaaaa,
+            color: style.color,
             transparent: true,
-            opacity: 0.5,
-            shininess: 100
+            opacity: style.opacity,
+            shininess: style.shininess
         });
         
-        // Left wall
-        const leftWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        leftWall.position.set(-this.tableWidth / 2 - 0.01, this.tableHeight + this.wallHeight / 2, 0);
-        this.arScene.addObject(leftWall);
-        this.walls.push(leftWall);
-        
-        // Add glow to left wall
-        const leftGlowGeometry = new THREE.BoxGeometry(0.02, this.wallHeight * 1.1, this.tableDepth * 1.02);
-        const leftGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x3388ff,
-            transparent: true,
-            opacity: 0.2,
-            side: THREE.BackSide
-        });
-        const leftGlow = new THREE.Mesh(leftGlowGeometry, leftGlowMaterial);
-        leftWall.add(leftGlow);
-        
-        // Right wall
-        const rightWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        rightWall.position.set(this.tableWidth / 2 + 0.01, this.tableHeight + this.wallHeight / 2, 0);
-        this.arScene.addObject(rightWall);
-        this.walls.push(rightWall);
-        
-        // Add glow to right wall
-        const rightGlowGeometry = new THREE.BoxGeometry(0.02, this.wallHeight * 1.1, this.tableDepth * 1.02);
-        const rightGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0x3388ff,
-            transparent: true,
-            opacity: 0.2,
-            side: THREE.BackSide
-        });
-        const rightGlow = new THREE.Mesh(rightGlowGeometry, rightGlowMaterial);
-        rightWall.add(rightGlow);
+        for (const direction of [-1, 1]) {
+            const wall = new THREE.Mesh(wallGeometry, wallMaterial);
+            wall.position.set(direction * (this.tableWidth / 2 + 0.01), this.tableHeight + this.wallHeight / 2, 0);
+            this.arScene.addObject(wall);
+            this.walls.push(wall);
+            
+            // Add glow to the wall
+            if (style.glowOpacity > 0) {
+                const glowGeometry = new THREE.BoxGeometry(0.02, this.wallHeight * 1.1, this.tableDepth * 1.02);
+                const glowMaterial = new THREE.MeshBasicMaterial({
+                    color: style.glow,
+                    transparent: true,
+                    opacity: style.glowOpacity,
+                    side: THREE.BackSide
+                });
+                wall.add(new THREE.Mesh(glowGeometry, glowMaterial));
+            }
+        }
     }
     
-    setupEventListeners() {
-        // Track pointer for controlling player paddle
-        const canvas = this.arScene.renderer.domElement;
-        
-        canvas.addEventListener('pointerdown', (event) => {
-            this.pointerDown = true;
-            this.updatePointerPosition(event);
-        });
-        
-        canvas.addEventListener('pointermove', (event) => {
-            if (this.pointerDown) {
-                this.updatePointerPosition(event);
-            }
+    setupSimulationEvents() {
+        const simulation = this.simulation;
+        
+        this.simulationListeners.push(
+            simulation.on('launch', (event) => this.onBallLaunched(event)),
+            simulation.on('hit', (event) => this.onPaddleHit(event)),
+            simulation.on('wall', (event) => this.onWallHit(event)),
+            simulation.on('score', (event) => this.onPointScored(event)),
+            simulation.on('game-over', (event) => this.onGameOver(event)),
+            simulation.on('new-game', (event) => this.onNewGame(event)),
+            simulation.on('power-up', (event) => this.onPowerUp(event)),
+            simulation.on('power-up-expired', (event) => this.onPowerUpExpired(event)),
+            simulation.on('shield', (event) => this.onShield(event))
+        );
+    }
+    
+    getPaddleMesh(side) {
+        return side === 'near' ? this.playerPaddle : this.aiPaddle;
+    }
+    
+    getSideColor(side) {
+        return new THREE.Color(this.theme.paddles[side]);
+    }
+    
+    onAudioSettingChanged(id, value) {
+        switch (id) {
+            case 'muted':
+                this.audio.setMuted(value);
+                this.updateMuteButton();
+                break;
+            case 'music':
+                this.audio.setMusicEnabled(value);
+                break;
+            default:
+                this.audio.setVolumes(getAudioVolumes());
+        }
+    }
+    
+    updateMuteButton() {
+        if (!this.muteButton) return;
+        this.muteButton.textContent = pongSettings.get('muted') ? 'Unmute' : 'Mute';
+        this.muteButton.classList.add('visible');
+    }
+    
+    // World position of a point in table space, for placing sounds
+    toWorldPosition(position) {
+        const world = new THREE.Vector3(position.x, position.y, position.z);
+        return this.ball.parent ? this.ball.parent.localToWorld(world) : world;
+    }
+    
+    onBallLaunched(event) {
+        // Launch effect
+        this.emitParticles(event.position, new THREE.Color(this.theme.particles.launch), 30, 0.15);
+        this.audio.play('launch', { position: this.toWorldPosition(event.position) });
+    }
+    
+    // Whether a side is played on this device, and gets haptic feedback
+    isLocalSide(side) {
+        return this.controls.sides.includes(side);
+    }
+    
+    // Hit strength from 0 to 1, by how fast the ball left
+    getHitStrength(velocity) {
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+        return speed / this.simulation.config.maxSwingSpeed;
+    }
+    
+    onPaddleHit(event) {
+        // Harder hits sound higher and louder, from the paddle that hit
+        this.audio.play('paddle', {
+            position: this.toWorldPosition(this.simulation.state.paddles[event.side]),
+            intensity: this.getHitStrength(event.velocity)
         });
-        
-        canvas.addEventListener('pointerup', () => {
-            this.pointerDown = false;
+        if (this.isLocalSide(event.side)) {
+            this.haptics.play('paddle', this.getHitStrength(event.velocity));
+        }
+        this.flashPaddle(this.getPaddleMesh(event.side));
+        this.emitParticles(event.position, this.getSideColor(event.side), 30, 0.2);
+    }
+    
+    onWallHit(event) {
+        this.audio.play('wall', {
+            position: this.toWorldPosition(event.position),
+            intensity: this.getHitStrength(this.simulation.state.ball.velocity)
         });
+        this.emitParticles(event.position, new THREE.Color(this.theme.particles.wall), 20, 0.1);
         
-        canvas.addEventListener('pointercancel', () => {
-            this.pointerDown = false;
-        });
+        // The ball bouncing on the table would buzz all the time
+        if (event.surface !== 'floor') {
+            this.haptics.play('wall', this.getHitStrength(this.simulation.state.ball.velocity) * 0.5);
+        }
     }
     
-    updatePointerPosition(event) {
-        // Calculate pointer delta
-        const newX = (event.clientX / window.innerWidth) * 2 - 1;
-        const newY = -((event.clientY / window.innerHeight) * 2 - 1);
-        
-        if (this.pointerDown) {
-            this.pointerDelta.x = newX - this.lastPointerPosition.x;
-            this.pointerDelta.y = newY - this.lastPointerPosition.y;
-        }
-        
-        this.lastPointerPosition.x = newX;
-        this.lastPointerPosition.y = newY;
-        
-        if (this.arScene.debugMode) {
-            // Debug mode handling with direct mapping and 3D movement
-            if (this.pointerDown) {
-                // Horizontal movement
-                const paddleX = this.playerPaddle.position.x + this.pointerDelta.x;
-                const maxX = (this.tableWidth / 2) - (this.paddleWidth / 2);
-                this.playerPaddle.position.x = Math.max(-maxX, Math.min(maxX, paddleX));
-                
-                // Vertical movement
-                const paddleY = this.playerPaddle.position.y + (this.pointerDelta.y * this.verticalSensitivity);
-                this.playerPaddle.position.y = Math.max(
-                    this.tableHeight + this.paddleHeight/2,
-                    Math.min(this.tableHeight + this.paddleVerticalRange, paddleY)
-                );
-                
-                // Depth movement (based on vertical movement)
-                const paddleZ = this.playerPaddle.position.z + (this.pointerDelta.y * this.depthSensitivity);
-                const maxDepth = this.tableDepth/2;
-                const minDepth = maxDepth - this.paddleDepthRange;
-                this.playerPaddle.position.z = Math.max(minDepth, Math.min(maxDepth, paddleZ));
-            }
-        } else {
-            // AR mode handling with local space ray intersection
-            this.raycaster.setFromCamera(this.lastPointerPosition, this.arScene.camera);
-            
-            if (this.arScene.arAnchor) {
-                const localRay = new THREE.Ray();
-                localRay.copy(this.raycaster.ray)
-                       .applyMatrix4(this.arScene.arAnchor.matrixWorld.invert());
+    onPointScored(event) {
+        this.updateScoreDisplay();
+        this.createScoreIndicator(event.position, event.side === 'near');
+        this.ballTrail.reset();
+        this.audio.play('score');
+        this.haptics.play(this.isLocalSide(event.side) ? 'point' : 'lost');
+        this.emitParticles(event.position, this.getSideColor(event.side), 40, 0.25);
+    }
+    
+    onGameOver(event) {
+        const winner = this.getSideLabel(event.winner);
+        this.debug.log(`Game over! ${winner} wins with score ${event.scores.near}-${event.scores.far}`);
+        
+        // Play win sound
+        this.audio.play('win');
+        this.haptics.play(this.isLocalSide(event.winner) ? 'win' : 'lost');
+        
+        // Create celebratory particles
+        for (let i = 0; i < 5; i++) {
+            this.timers.schedule(i * 0.3, () => {
+                const x = (Math.random() - 0.5) * this.tableWidth;
+                const z = (Math.random() - 0.5) * this.tableDepth;
+                const position = new THREE.Vector3(x, this.tableHeight + 0.1, z);
                 
-                const intersectionPoint = new THREE.Vector3();
-                if (localRay.intersectPlane(this.localTouchPlane, intersectionPoint)) {
-                    // Horizontal movement
-                    const maxX = (this.tableWidth / 2) - (this.paddleWidth / 2);
-                    this.playerPaddle.position.x = Math.max(-maxX, Math.min(maxX, intersectionPoint.x));
-                    
-                    // Vertical and depth movement based on intersection point
-                    const verticalPos = Math.max(
-                        this.tableHeight + this.paddleHeight/2,
-                        Math.min(this.tableHeight + this.paddleVerticalRange, intersectionPoint.y)
-                    );
-                    this.playerPaddle.position.y = verticalPos;
-                    
-                    const depthPos = Math.max(
-                        this.tableDepth/2 - this.paddleDepthRange,
-                        Math.min(this.tableDepth/2, intersectionPoint.z)
-                    );
-                    this.playerPaddle.position.z = depthPos;
-                }
-            }
+                this.emitParticles(position, this.getSideColor(event.winner), 40, 0.3, 1.5);
+            });
         }
     }
     
-    resetBall(initialStart = false) {
-        // Position ball in the center of the table
-        this.ball.position.x = 0;
-        this.ball.position.z = 0;
-        this.ball.position.y = this.tableHeight + this.ballRadius;
-        
-        if (initialStart) {
-            // Add small delay before starting for first time
-            setTimeout(() => {
-                this.launchBall();
-            }, 1000);
-        } else {
-            this.launchBall();
+    onPowerUp(event) {
+        const powerUp = POWER_UPS[event.type];
+        const color = new THREE.Color(powerUp.color);
+        
+        this.emitParticles(event.position, color, 60, 0.3, 0.8);
+        this.createFloatingText(event.position, powerUp.label, color, 'bold 32px Arial');
+        this.audio.play('pickup', { position: this.toWorldPosition(event.position) });
+        if (this.isLocalSide(event.side)) {
+            this.haptics.play('pickup');
         }
+        this.debug.log(`${this.getSideLabel(event.side)} collected ${powerUp.label}`);
     }
     
-    launchBall() {
-        // Randomize initial direction in 3D
-        const horizontalAngle = Math.random() * Math.PI * 2;
-        const verticalAngle = (Math.random() - 0.5) * Math.PI * 0.3; // Limit vertical angle
-        
-        this.ballVelocity.x = Math.cos(horizontalAngle) * Math.cos(verticalAngle) * this.ballSpeed;
-        this.ballVelocity.y = Math.sin(verticalAngle) * this.ballSpeed;
-        this.ballVelocity.z = Math.sin(horizontalAngle) * Math.cos(verticalAngle) * this.ballSpeed;
-        
-        // Ensure movement toward players
-        if (Math.abs(this.ballVelocity.z) < 0.3) {
-            this.ballVelocity.z = (this.ballVelocity.z > 0 ? 0.3 : -0.3);
+    onPowerUpExpired(event) {
+        this.debug.log(`${POWER_UPS[event.type].label} wore off`);
+    }
+    
+    onShield(event) {
+        this.emitParticles(event.position, new THREE.Color(POWER_UPS.shield.color), 40, 0.2);
+        this.audio.play('shield', { position: this.toWorldPosition(event.position) });
+        if (this.isLocalSide(event.side)) {
+            this.haptics.play('shield');
         }
-        
-        // Save initial position
-        this.lastPosition.copy(this.ball.position);
-        
-        // Launch effect
-        this.emitParticles(
-            this.ball.position.clone(),
-            new THREE.Color(0x00ffff),
-            30,
-            0.15
-        );
-        
-        this.playSound('launch');
     }
-
-    update(deltaTime) {
-        if (!this.isPlaying) return;
-        
-        // Store last position
-        this.lastPosition.copy(this.ball.position);
-        
-        // Apply gravity
-        this.ballVelocity.y += this.gravity * deltaTime;
-        
-        // Update ball position
-        this.ball.position.x += this.ballVelocity.x * deltaTime;
-        this.ball.position.y += this.ballVelocity.y * deltaTime;
-        this.ball.position.z += this.ballVelocity.z * deltaTime;
-        
-        // Check floor/ceiling collisions
-        if (this.ball.position.y < this.tableHeight + this.ballRadius) {
-            this.ball.position.y = this.tableHeight + this.ballRadius;
-            this.ballVelocity.y = -this.ballVelocity.y * this.groundDamping;
-            this.playSound('wall');
-            this.emitParticles(this.ball.position.clone(), new THREE.Color(0x3388ff), 20, 0.1);
-        } else if (this.ball.position.y > this.tableHeight + this.playAreaHeight - this.ballRadius) {
-            this.ball.position.y = this.tableHeight + this.playAreaHeight - this.ballRadius;
-            this.ballVelocity.y = -this.ballVelocity.y * this.groundDamping;
-            this.playSound('wall');
-            this.emitParticles(this.ball.position.clone(), new THREE.Color(0x3388ff), 20, 0.1);
+    
+    onNewGame(event) {
+        this.updateScoreDisplay();
+        this.debug.log(`New game started at level ${event.level} with ball speed ${event.ballSpeed}`);
+    }
+    
+    update(deltaTime, frame, referenceSpace) {
+        if (this.sharedSpace) {
+            this.sharedSpace.update(frame, referenceSpace);
         }
         
-        // Update trail effect
-        this.updateTrail();
-        
-        // Update particle effects
-        this.updateParticles(deltaTime);
-        
-        // Check for wall collisions
-        if (Math.abs(this.ball.position.x) > this.tableWidth / 2 - this.ballRadius) {
-            // Hit side wall, reverse X velocity
-            this.ballVelocity.x *= -1;
-            this.ball.position.x = Math.sign(this.ball.position.x) * (this.tableWidth / 2 - this.ballRadius);
-            
-            // Play wall hit sound
-            this.playSound('wall');
-            
-            // Emit particle effect for wall hit
-            this.emitParticles(
-                this.ball.position.clone(),
-                new THREE.Color(0x3388ff),
-                20,
-                0.1
-            );
+        if (!this.isPlaying || this.paused) return;
+        
+        this.timers.update(deltaTime);
+        
+        // Hear the game from where the player is
+        const viewerPose = frame?.getViewerPose(referenceSpace);
+        const viewMatrix = viewerPose
+            ? new THREE.Matrix4().fromArray(viewerPose.transform.matrix)
+            : this.arScene.camera.matrixWorld;
+        this.audio.updateListener(viewMatrix);
+        
+        // Advance the game rules in fixed steps, independent of the frame rate
+        if (this.mode === 'replay') {
+            if (!this.replayPlayer) return;
+            this.replayPlayer.update(deltaTime);
+            this.updateReplayControls();
+        } else if (this.onlineMatch) {
+            this.controls.updateXRInput(deltaTime, frame, referenceSpace);
+            this.onlineMatch.advance(deltaTime, (timestep) => {
+                this.controls.update(timestep);
+                return this.controls.getTarget('near');
+            });
+        } else {
+            this.controls.updateXRInput(deltaTime, frame, referenceSpace);
+            this.simulation.advance(deltaTime, (timestep) => {
+                this.controls.update(timestep);
+                return {
+                    near: this.controls.getTarget('near'),
+                    far: this.ai ? this.ai.computeInput(timestep) : this.controls.getTarget('far')
+                };
+            });
         }
         
-        // Check for paddle collisions
-        this.checkPaddleCollisions();
+        // Mirror the simulation state onto the meshes
+        this.syncFromSimulation();
         
-        // Check for scoring
-        this.checkScoring();
+        // Update trail effect
+        this.updateTrail(deltaTime, viewMatrix);
         
-        // Update AI paddle (simple AI that follows the ball)
-        this.updateAI(deltaTime);
+        // Update particle effects
+        this.particleEmitter.update(deltaTime, this.arScene.renderer.domElement.height);
+        this.powerUpVisuals.update(deltaTime);
         
-        // Add some rotation to the ball based on its velocity
-        this.ball.rotation.x += this.ballVelocity.z * 2;
-        this.ball.rotation.z -= this.ballVelocity.x * 2;
+        // Add some rotation to the ball based on its velocity, and show its spin
+        const { velocity, spin } = this.simulation.state.ball;
+        this.ball.rotation.x += velocity.z * 2 + spin.x * deltaTime;
+        this.ball.rotation.y += spin.y * deltaTime;
+        this.ball.rotation.z -= velocity.x * 2;
         
         // Update score indicators if any
         this.updateScoreIndicators(deltaTime);
+        
+        this.updateMatchUI();
     }
     
-    checkPaddleCollisions() {
-        // Player paddle collision
-        if (this.ballVelocity.z > 0 && 
-            this.ball.position.z + this.ballRadius > this.playerPaddle.position.z - this.paddleDepth/2 &&
-            this.lastPosition.z + this.ballRadius <= this.playerPaddle.position.z - this.paddleDepth/2) {
-            
-            const paddleMinX = this.playerPaddle.position.x - this.paddleWidth/2;
-            const paddleMaxX = this.playerPaddle.position.x + this.paddleWidth/2;
-            const paddleMinY = this.playerPaddle.position.y - this.paddleHeight/2;
-            const paddleMaxY = this.playerPaddle.position.y + this.paddleHeight/2;
-            
-            if (this.ball.position.x >= paddleMinX && 
-                this.ball.position.x <= paddleMaxX &&
-                this.ball.position.y >= paddleMinY &&
-                this.ball.position.y <= paddleMaxY) {
-                
-                // Reflect ball
-                this.ballVelocity.z *= -1.05;
-                
-                // Add angle based on hit position
-                const hitX = (this.ball.position.x - this.playerPaddle.position.x) / (this.paddleWidth/2);
-                const hitY = (this.ball.position.y - this.playerPaddle.position.y) / (this.paddleHeight/2);
-                
-                this.ballVelocity.x += hitX * 0.5;
-                this.ballVelocity.y += hitY * 0.5;
-                
-                // Normalize velocity to maintain consistent speed
-                const speed = Math.sqrt(
-                    this.ballVelocity.x * this.ballVelocity.x +
-                    this.ballVelocity.y * this.ballVelocity.y +
-                    this.ballVelocity.z * this.ballVelocity.z
-                );
-                
-                this.ballVelocity.multiplyScalar(this.ballSpeed / speed);
-                
-                // Position correction
-                this.ball.position.z = this.playerPaddle.position.z - this.paddleDepth/2 - this.ballRadius;
-                
-                this.playSound('paddle');
-                this.flashPaddle(this.playerPaddle);
-                this.emitParticles(this.ball.position.clone(), new THREE.Color(0x00ff88), 30, 0.2);
-            }
-        }
-        
-        // AI paddle collision (similar logic)
-        if (this.ballVelocity.z < 0 && 
-            this.ball.position.z - this.ballRadius < this.aiPaddle.position.z + this.paddleDepth/2 &&
-            this.lastPosition.z - this.ballRadius >= this.aiPaddle.position.z + this.paddleDepth/2) {
-            
-            const paddleMinX = this.aiPaddle.position.x - this.paddleWidth/2;
-            const paddleMaxX = this.aiPaddle.position.x + this.paddleWidth/2;
-            const paddleMinY = this.aiPaddle.position.y - this.paddleHeight/2;
-            const paddleMaxY = this.aiPaddle.position.y + this.paddleHeight/2;
-            
-            if (this.ball.position.x >= paddleMinX && 
-                this.ball.position.x <= paddleMaxX &&
-                this.ball.position.y >= paddleMinY &&
-                this.ball.position.y <= paddleMaxY) {
-                
-                this.ballVelocity.z *= -1.05;
-                
-                const hitX = (this.ball.position.x - this.aiPaddle.position.x) / (this.paddleWidth/2);
-                const hitY = (this.ball.position.y - this.aiPaddle.position.y) / (this.paddleHeight/2);
-                
-                this.ballVelocity.x += hitX * 0.5;
-                this.ballVelocity.y += hitY * 0.5;
-                
-                const speed = Math.sqrt(
-                    this.ballVelocity.x * this.ballVelocity.x +
-                    this.ballVelocity.y * this.ballVelocity.y +
-                    this.ballVelocity.z * this.ballVelocity.z
-                );
-                
-                this.ballVelocity.multiplyScalar(this.ballSpeed / speed);
-                
-                this.ball.position.z = this.aiPaddle.position.z + this.paddleDepth/2 + this.ballRadius;
-                
-                this.playSound('paddle');
-                this.flashPaddle(this.aiPaddle);
-                this.emitParticles(this.ball.position.clone(), new THREE.Color(0xff3366), 30, 0.2);
-            }
+    syncFromSimulation() {
+        const state = this.simulation.state;
+        
+        // Blend the ball between fixed steps so motion stays smooth at any frame rate
+        this.simulation.getInterpolatedBallPosition(undefined, this.ball.position);
+        this.playerPaddle.position.copy(state.paddles.near);
+        this.aiPaddle.position.copy(state.paddles.far);
+        
+        // Arcade effects grow and shrink the paddles
+        for (const side of ['near', 'far']) {
+            const scale = this.simulation.powerUps.getPaddleScale(side);
+            this.getPaddleMesh(side).scale.set(scale, scale, 1);
         }
     }
     
@@ -855,125 +1004,31 @@ export class PongGame {
         if (pointLight) pointLight.intensity = 1.5;
         
         // Reset after a short time
-        setTimeout(() => {
+        this.timers.schedule(0.1, () => {
             material.color.copy(originalColor);
             material.opacity = originalOpacity;
             if (material.emissive) material.emissive.copy(originalEmissive);
             if (pointLight) pointLight.intensity = originalIntensity;
-        }, 100);
-    }
-    
-    playSound(type) {
-        // Simple sound effect using Web Audio API
-        // We create sounds programmatically since we can't use external files
-        if (!this.audioContext) return;
-        
-        try {
-            // Resume audio context if it was suspended (browser policy)
-            if (this.audioContext.state === 'suspended') {
-                this.audioContext.resume();
-            }
-            
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            switch (type) {
-                case 'paddle':
-                    oscillator.type = 'sine';
-                    oscillator.frequency.setValueAtTime(440, this.audioContext.currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(880, this.audioContext.currentTime + 0.1);
-                    gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.1);
-                    break;
-                    
-                case 'wall':
-                    oscillator.type = 'square';
-                    oscillator.frequency.setValueAtTime(220, this.audioContext.currentTime);
-                    gainNode.gain.setValueAtTime(0.05, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.05);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.05);
-                    break;
-                    
-                case 'score':
-                    oscillator.type = 'sawtooth';
-                    oscillator.frequency.setValueAtTime(660, this.audioContext.currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(330, this.audioContext.currentTime + 0.3);
-                    gainNode.gain.setValueAtTime(0.2, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.3);
-                    break;
-                    
-                case 'launch':
-                    oscillator.type = 'triangle';
-                    oscillator.frequency.setValueAtTime(220, this.audioContext.currentTime);
-                    oscillator.frequency.exponentialRampToValueAtTime(440, this.audioContext.currentTime + 0.2);
-                    gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
-                    oscillator.start();
-                    oscillator.stop(this.audioContext.currentTime + 0.2);
-                    break;
-                    
-                case 'win':
-                    // Create a more complex sound with multiple oscillators
-                    const osc1 = this.audioContext.createOscillator();
-                    const osc2 = this.audioContext.createOscillator();
-                    const gain1 = this.audioContext.createGain();
-                    const gain2 = this.audioContext.createGain();
-                    
-                    osc1.connect(gain1);
-                    osc2.connect(gain2);
-                    gain1.connect(this.audioContext.destination);
-                    gain2.connect(this.audioContext.destination);
-                    
-                    osc1.type = 'sine';
-                    osc2.type = 'triangle';
-                    
-                    // Play a little melody
-                    osc1.frequency.setValueAtTime(440, this.audioContext.currentTime);
-                    osc1.frequency.setValueAtTime(550, this.audioContext.currentTime + 0.2);
-                    osc1.frequency.setValueAtTime(660, this.audioContext.currentTime + 0.4);
-                    
-                    osc2.frequency.setValueAtTime(220, this.audioContext.currentTime);
-                    osc2.frequency.setValueAtTime(275, this.audioContext.currentTime + 0.2);
-                    osc2.frequency.setValueAtTime(330, this.audioContext.currentTime + 0.4);
-                    
-                    gain1.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-                    gain1.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.6);
-                    
-                    gain2.gain.setValueAtTime(0.05, this.audioContext.currentTime);
-                    gain2.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.6);
-                    
-                    osc1.start();
-                    osc2.start();
-                    osc1.stop(this.audioContext.currentTime + 0.6);
-                    osc2.stop(this.audioContext.currentTime + 0.6);
-                    break;
-            }
-        } catch (error) {
-            this.debug.warn(`Error playing sound: ${error.message}`);
-        }
+        });
     }
     
     createScoreIndicator(position, isPlayer) {
         // Create a floating text to indicate scoring
+        return this.createFloatingText(position, '+1', this.getSideColor(isPlayer ? 'near' : 'far'));
+    }
+    
+    createFloatingText(position, text, color, font = 'bold 80px Arial') {
         const canvas = document.createElement('canvas');
         canvas.width = 256;
         canvas.height = 128;
         const context = canvas.getContext('2d');
         
         // Draw text on canvas
-        context.fillStyle = isPlayer ? '#00ff88' : '#ff3366';
-        context.font = 'bold 80px Arial';
+        context.fillStyle = color.getStyle();
+        context.font = font;
         context.textAlign = 'center';
         context.textBaseline = 'middle';
-        context.fillText('+1', 128, 64);
+        context.fillText(text, 128, 64);
         
         // Create texture and sprite
         const texture = new THREE.CanvasTexture(canvas);
@@ -1031,171 +1086,131 @@ export class PongGame {
         }
     }
     
-    checkScoring() {
-        // Ball passed player's paddle
-        if (this.ball.position.z > this.tableDepth / 2 + this.ballRadius) {
-            // AI scores
-            this.aiScore++;
-            this.updateScoreDisplay();
-            
-            // Create score indicator
-            this.createScoreIndicator(this.ball.position.clone(), false);
-            
-            // Play score sound
-            this.playSound('score');
-            
-            // Emit particles
-            this.emitParticles(
-                this.ball.position.clone(),
-                new THREE.Color(0xff3366),
-                40,
-                0.25
-            );
-            
-            // Reset the ball
-            this.resetBall();
-            
-            // Check if game ended
-            this.checkGameEnd();
-        }
-        
-        // Ball passed AI's paddle
-        if (this.ball.position.z < -this.tableDepth / 2 - this.ballRadius) {
-            // Player scores
-            this.playerScore++;
-            this.updateScoreDisplay();
-            
-            // Create score indicator
-            this.createScoreIndicator(this.ball.position.clone(), true);
-            
-            // Play score sound
-            this.playSound('score');
-            
-            // Emit particles
-            this.emitParticles(
-                this.ball.position.clone(),
-                new THREE.Color(0x00ff88),
-                40,
-                0.25
-            );
-            
-            // Reset the ball
-            this.resetBall();
-            
-            // Check if game ended
-            this.checkGameEnd();
-        }
+    getSideLabel(side) {
+        return SIDE_LABELS[this.labelMode][side];
     }
     
-    checkGameEnd() {
-        // Check if either player reached the winning score
-        if (this.playerScore >= this.winningScore || this.aiScore >= this.winningScore) {
-            const winner = this.playerScore > this.aiScore ? 'Player' : 'AI';
-            this.debug.log(`Game over! ${winner} wins with score ${this.playerScore}-${this.aiScore}`);
-            
-            // Play win sound
-            this.playSound('win');
-            
-            // Create celebratory particles
-            for (let i = 0; i < 5; i++) {
-                setTimeout(() => {
-                    const x = (Math.random() - 0.5) * this.tableWidth;
-                    const z = (Math.random() - 0.5) * this.tableDepth;
-                    const position = new THREE.Vector3(x, this.tableHeight + 0.1, z);
-                    
-                    const color = this.playerScore > this.aiScore 
-                        ? new THREE.Color(0x00ff88) 
-                        : new THREE.Color(0xff3366);
-                    
-                    this.emitParticles(position, color, 40, 0.3);
-                }, i * 300);
-            }
-            
-            // Reset game after a delay
-            setTimeout(() => {
-                this.playerScore = 0;
-                this.aiScore = 0;
-                this.updateScoreDisplay();
-                this.resetBall(true);
-                
-                // Increase difficulty slightly for next game
-                this.gameLevel++;
-                this.ballSpeed = Math.min(0.5 + (this.gameLevel * 0.05), 0.8);
-                
-                this.debug.log(`New game started at level ${this.gameLevel} with ball speed ${this.ballSpeed}`);
-            }, 3000);
+    updateScoreLabels() {
+        if (this.playerLabelElement && this.aiLabelElement) {
+            this.playerLabelElement.textContent = this.getSideLabel('near');
+            this.aiLabelElement.textContent = this.getSideLabel('far');
         }
     }
     
-    updateAI(deltaTime) {
-        if (!this.ball) return;
-        
-        const difficulty = Math.min(0.4 + (this.gameLevel * 0.05), 0.9);
-        const aiSpeed = this.aiPaddleMovementSpeed * difficulty;
+    updateScoreDisplay() {
+        if (this.playerScoreElement && this.aiScoreElement) {
+            const scores = this.simulation.state.scores;
+            this.playerScoreElement.textContent = scores.near;
+            this.aiScoreElement.textContent = scores.far;
+        }
+    }
+
+    // Countdown, pause and game over banner, and which match buttons apply
+    updateMatchUI() {
+        const state = this.simulation.state;
+        const gameOver = state.phase === 'game-over';
+        
+        let banner = '';
+        if (this.paused) {
+            banner = 'Paused';
+        } else if (state.phase === 'countdown') {
+            banner = String(Math.max(Math.ceil(state.phaseTimer), 1));
+        } else if (gameOver) {
+            const winner = state.scores.near > state.scores.far ? 'near' : 'far';
+            banner = `${this.getSideLabel(winner)} won!`;
+        }
         
-        // Predict ball position
-        const ballVelocity = this.ballVelocity.clone();
-        const predictedPosition = this.ball.position.clone().add(
-            ballVelocity.multiplyScalar(deltaTime * 60)
-        );
+        // Only touch the DOM when something changed
+        const devicePose = this.mode !== 'replay' && this.controls.usesDevicePose();
+        const controlsKey = `${banner}|${this.paused}|${gameOver}|${devicePose}`;
+        if (controlsKey === this.bannerText) return;
+        this.bannerText = controlsKey;
         
-        // Update AI paddle position smoothly
-        if (this.ballVelocity.z < 0) {
-            // Move towards predicted ball position
-            const targetX = predictedPosition.x;
-            const targetY = predictedPosition.y;
-            const targetZ = -this.tableDepth/2 + 0.05; // Base position
-            
-            // Smoothly move towards target
-            this.aiPaddle.position.x += (targetX - this.aiPaddle.position.x) * aiSpeed;
-            this.aiPaddle.position.y += (targetY - this.aiPaddle.position.y) * aiSpeed;
-            this.aiPaddle.position.z += (targetZ - this.aiPaddle.position.z) * aiSpeed;
-            
-            // Add some randomness for realism
-            if (Math.random() < 0.05) {
-                this.aiPaddle.position.x += (Math.random() - 0.5) * 0.05;
-                this.aiPaddle.position.y += (Math.random() - 0.5) * 0.05;
-                this.aiPaddle.position.z += (Math.random() - 0.5) * 0.02;
-            }
+        if (this.bannerElement) {
+            this.bannerElement.textContent = banner;
+            this.bannerElement.classList.toggle('visible', Boolean(banner));
         }
         
-        // Clamp positions
-        const maxX = (this.tableWidth / 2) - (this.paddleWidth / 2);
-        this.aiPaddle.position.x = Math.max(-maxX, Math.min(maxX, this.aiPaddle.position.x));
-        this.aiPaddle.position.y = Math.max(
-            this.tableHeight + this.paddleHeight/2,
-            Math.min(this.tableHeight + this.paddleVerticalRange, this.aiPaddle.position.y)
-        );
-        this.aiPaddle.position.z = Math.max(
-            -this.tableDepth/2 - this.paddleDepthRange,
-            Math.min(-this.tableDepth/2 + 0.05, this.aiPaddle.position.z)
-        );
+        // Replays have their own playback controls
+        const replay = this.mode === 'replay';
+        if (this.pauseButton) {
+            this.pauseButton.textContent = this.paused ? 'Resume' : 'Pause';
+            this.pauseButton.classList.toggle('visible', !gameOver && !replay);
+        }
+        this.rematchButton?.classList.toggle('visible', gameOver && !this.paused && !replay);
+        this.quitButton?.classList.toggle('visible', gameOver || this.paused);
+        this.saveReplayButton?.classList.toggle('visible', Boolean(this.recorder) && (gameOver || this.paused));
+        this.recenterButton?.classList.toggle('visible', devicePose && !gameOver && !this.paused);
     }
-
-    updateScoreDisplay() {
-        if (this.playerScoreElement && this.aiScoreElement) {
-            this.playerScoreElement.textContent = this.playerScore;
-            this.aiScoreElement.textContent = this.aiScore;
+    
+    requestRematch() {
+        if (this.onlineMatch) {
+            this.onlineMatch.requestRematch();
+        } else {
+            this.simulation.rematch();
         }
+        this.updateMatchUI();
+    }
+    
+    // Leaving is up to the app, which owns the AR session
+    quit() {
+        this.debug.log("Player quit the match");
+        document.dispatchEvent(new CustomEvent('experience-quit', { detail: { experience: 'pong' } }));
     }
 
+    // `remote` is set when the online opponent paused, so it isn't sent back
+    pause({ remote = false } = {}) {
+        if (!this.isPlaying || this.paused) return;
+        
+        this.paused = true;
+        this.audio.suspend();
+        if (this.onlineMatch && !remote) {
+            this.onlineMatch.setPaused(true);
+        }
+        this.updateMatchUI();
+        
+        this.debug.log("PongGame paused");
+    }
+    
+    resume({ remote = false } = {}) {
+        if (!this.isPlaying || !this.paused) return;
+        
+        this.paused = false;
+        this.audio.resume();
+        if (this.onlineMatch && !remote) {
+            this.onlineMatch.setPaused(false);
+        }
+        this.updateMatchUI();
+        
+        this.debug.log("PongGame resumed");
+    }
+    
     dispose() {
         this.debug.log("Disposing PongGame");
         
         // Clean up game objects
-        if (this.table) this.arScene.removeObject(this.table);
-        if (this.ball) this.arScene.removeObject(this.ball);
-        if (this.playerPaddle) this.arScene.removeObject(this.playerPaddle);
-        if (this.aiPaddle) this.arScene.removeObject(this.aiPaddle);
+        if (this.table) this.arScene.disposeObject(this.table);
+        if (this.ball) this.arScene.disposeObject(this.ball);
+        if (this.playerPaddle) this.arScene.disposeObject(this.playerPaddle);
+        if (this.aiPaddle) this.arScene.disposeObject(this.aiPaddle);
         
         // Clean up walls
         for (const wall of this.walls) {
-            this.arScene.removeObject(wall);
+            this.arScene.disposeObject(wall);
+        }
+        
+        // Clean up effects
+        if (this.ballTrail) {
+            this.arScene.removeObject(this.ballTrail.mesh);
+            this.ballTrail.dispose();
+        }
+        if (this.particleEmitter) {
+            this.arScene.removeObject(this.particleEmitter.points);
+            this.particleEmitter.dispose();
         }
         
-        // Clean up particles
-        for (const ps of this.particlePool) {
-            this.arScene.removeObject(ps);
+        if (this.powerUpVisuals) {
+            this.powerUpVisuals.dispose();
         }
         
         // Clean up score indicators
@@ -1203,17 +1218,134 @@ export class PongGame {
             this.arScene.removeObject(indicator);
         }
         
-        // Close audio context if it exists
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            this.audioContext.close().catch(console.error);
+        // Stop the music and close the audio context
+        this.audio.dispose();
+        
+        // Remove update callback, input handlers and simulation listeners
+        this.arScene.removeUpdateCallback(this.onUpdate);
+        this.timers.clear();
+        this.pauseButton?.removeEventListener('click', this.onPauseClicked);
+        this.rematchButton?.removeEventListener('click', this.onRematchClicked);
+        this.quitButton?.removeEventListener('click', this.onQuitClicked);
+        this.saveReplayButton?.removeEventListener('click', this.onSaveReplayClicked);
+        this.recenterButton?.removeEventListener('click', this.onRecenterClicked);
+        this.muteButton?.removeEventListener('click', this.onMuteClicked);
+        document.removeEventListener('ar-anchor-lost', this.onAnchorLost);
+        document.removeEventListener('ar-anchor-restored', this.onAnchorRestored);
+        this.replayListeners.forEach(off => off());
+        this.replayListeners = [];
+        this.controls.detach();
+        if (this.recorder) {
+            this.recorder.stop();
+        }
+        this.simulationListeners.forEach(off => off());
+        this.simulationListeners = [];
+        if (this.settingsListener) {
+            this.settingsListener();
+            this.settingsListener = null;
         }
+        this.pendingRules = null;
         
-        // Remove update callback
-        this.arScene.removeUpdateCallback(this.update.bind(this));
+        // Leave the online match
+        if (this.sharedSpace) {
+            this.sharedSpace.dispose();
+            this.sharedSpace = null;
+        }
+        if (this.onlineMatch) {
+            this.onlineMatch.dispose();
+            this.onlineMatch = null;
+        }
+        this.setStatus('');
         
-        // Reset game state
+        // Reset game state and hide the match UI
         this.isPlaying = false;
+        this.paused = false;
+        for (const element of [this.bannerElement, this.pauseButton, this.rematchButton, this.quitButton, this.saveReplayButton, this.recenterButton, this.muteButton, this.replayControls]) {
+            element?.classList.remove('visible');
+        }
         
         this.debug.log("PongGame disposed");
     }
-}
\ No newline at end of file
+}
+
+experienceRegistry.register({
+    id: 'pong',
+    title: 'AR Pong',
+    description: 'Play a classic game of pong in augmented reality',
+    thumbnail: 'thumbnails/pong.svg',
+    settings: pongSettings,
+    options: [
+        {
+            id: 'mode',
+            label: 'Mode',
+            type: 'select',
+            default: 'single',
+            choices: [
+                { value: 'single', label: '1 Player vs AI' },
+                { value: 'two-player', label: '2 Players (same device)' },
+                { value: 'online-host', label: 'Online: host a match' },
+                { value: 'online-guest', label: 'Online: join a match' },
+                { value: 'replay', label: 'Watch a replay' }
+            ]
+        },
+        {
+            id: 'replayFile',
+            label: 'Replay file',
+            type: 'file',
+            accept: '.json,application/json',
+            default: null,
+            showWhen: { mode: ['replay'] }
+        },
+        {
+            id: 'difficulty',
+            label: 'Difficulty',
+            type: 'select',
+            default: DEFAULT_DIFFICULTY,
+            choices: Object.entries(DIFFICULTY_PROFILES).map(([value, profile]) => ({ value, label: profile.label })),
+            showWhen: { mode: ['single'] }
+        },
+        {
+            id: 'room',
+            label: 'Room',
+            type: 'text',
+            default: 'pong',
+            showWhen: { mode: ['online-host', 'online-guest'] }
+        },
+        {
+            id: 'signaling',
+            // No relay ships with the game, see WebSocketSignaling for the protocol
+            label: 'Signaling server',
+            type: 'text',
+            default: '',
+            placeholder: 'wss://your-relay.example',
+            showWhen: { mode: ['online-host', 'online-guest'] }
+        },
+        {
+            id: 'colocation',
+            label: 'Shared table',
+            type: 'select',
+            default: 'off',
+            choices: [
+                { value: 'off', label: 'Off (separate rooms)' },
+                { value: 'marker', label: 'Same room: scan printed marker' },
+                { value: 'taps', label: 'Same room: tap marker corners' }
+            ],
+            showWhen: { mode: ['online-host', 'online-guest'] }
+        }
+    ],
+    // Only offer surfaces the table fits on
+    placementFootprint: () => ({ width: pongSettings.get('tableWidth'), depth: pongSettings.get('tableDepth') }),
+    // Replays don't need the camera and play in the debug scene
+    usesARSession: (options) => options.mode !== 'replay',
+    // Image tracking for the shared marker, depth sensing for occlusion and
+    // hand tracking for paddle input have to be requested with the session
+    sessionInit: async (options) => {
+        const online = options.mode === 'online-host' || options.mode === 'online-guest';
+        return mergeSessionInit(
+            await getSharedSpaceSessionInit(online ? options.colocation : null),
+            pongSettings.get('occlusion') ? getDepthSensingSessionInit() : {},
+            getHandTrackingSessionInit()
+        );
+    },
+    create: (arScene, debug, options) => new PongGame(arScene, debug, options)
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+import { SettingsStore } from './settings.js';
+import { DEFAULT_SIMULATION_CONFIG } from './pong-simulation.js';
+import { POWER_UPS } from './power-ups.js';
+import { THEMES, DEFAULT_THEME } from './themes.js';
+
+// Settings that feed PongSimulation's config; online the host's values apply
+export const RULE_SETTINGS = [
+    'winningScore', 'ballSpeed', 'gravity', 'groundDamping', 'tableWidth', 'tableDepth',
+    'arcadeMode', ...Object.values(POWER_UPS).map(powerUp => powerUp.configKey)
+];
+
+// Settings for the player's own input
+export const CONTROL_SETTINGS = ['verticalSensitivity', 'depthSensitivity'];
+
+// Sound settings, these apply to replays too
+export const AUDIO_SETTINGS = ['masterVolume', 'musicVolume', 'sfxVolume', 'muted', 'music'];
+
+const defaults = DEFAULT_SIMULATION_CONFIG;
+
+export const pongSettings = new SettingsStore({
+    key: 'ar-pong-settings',
+    version: 1,
+    schema: [
+        { id: 'winningScore', label: 'Points to win', type: 'number', min: 1, max: 21, step: 1, default: defaults.winningScore },
+        { id: 'ballSpeed', label: 'Ball speed', type: 'number', min: 0.2, max: 1.5, step: 0.05, default: defaults.ballSpeed, unit: 'm/s' },
+        { id: 'gravity', label: 'Gravity', type: 'number', min: -2, max: 0, step: 0.05, default: defaults.gravity, unit: 'm/s²' },
+        { id: 'groundDamping', label: 'Table bounce', type: 'number', min: 0, max: 1, step: 0.05, default: defaults.groundDamping },
+        { id: 'tableWidth', label: 'Table width', type: 'number', min: 0.4, max: 2, step: 0.05, default: defaults.tableWidth, unit: 'm' },
+        { id: 'tableDepth', label: 'Table length', type: 'number', min: 0.6, max: 3, step: 0.05, default: defaults.tableDepth, unit: 'm' },
+        { id: 'arcadeMode', label: 'Arcade power-ups', type: 'boolean', default: defaults.arcadeMode },
+        ...Object.values(POWER_UPS).map(powerUp => ({
+            id: powerUp.configKey,
+            label: `Power-up: ${powerUp.label}`,
+            type: 'boolean',
+            default: defaults[powerUp.configKey]
+        })),
+        { id: 'verticalSensitivity', label: 'Vertical sensitivity', type: 'number', min: 0.1, max: 3, step: 0.1, default: 1 },
+        { id: 'depthSensitivity', label: 'Depth sensitivity', type: 'number', min: 0, max: 2, step: 0.1, default: 0.5 },
+        {
+            id: 'controlScheme',
+            label: 'Paddle control',
+            type: 'select',
+            default: 'touch',
+            choices: [
+                { value: 'touch', label: 'Drag on screen' },
+                { value: 'device', label: 'Move the phone' }
+            ]
+        },
+        {
+            id: 'theme',
+            label: 'Theme',
+            type: 'select',
+            default: DEFAULT_THEME,
+            choices: Object.entries(THEMES).map(([value, theme]) => ({ value, label: theme.label }))
+        },
+        { id: 'occlusion', label: 'Hide behind real objects', type: 'boolean', default: true },
+        { id: 'haptics', label: 'Vibration', type: 'boolean', default: true },
+        { id: 'masterVolume', label: 'Volume', type: 'number', min: 0, max: 1, step: 0.05, default: 0.8 },
+        { id: 'sfxVolume', label: 'Effects volume', type: 'number', min: 0, max: 1, step: 0.05, default: 1 },
+        { id: 'musicVolume', label: 'Music volume', type: 'number', min: 0, max: 1, step: 0.05, default: 0.5 },
+        { id: 'music', label: 'Background music', type: 'boolean', default: false },
+        { id: 'muted', label: 'Mute', type: 'boolean', default: false }
+    ],
+    migrations: {}
+});
+
+// Simulation config overrides from the current settings
+export function getRuleConfig(settings = pongSettings) {
+    const config = {};
+    for (const id of RULE_SETTINGS) {
+        config[id] = settings.get(id);
+    }
+    return config;
+}
+
+// Mixer levels for AudioEngine.setVolumes()
+export function getAudioVolumes(settings = pongSettings) {
+    return {
+        master: settings.get('masterVolume'),
+        music: settings.get('musicVolume'),
+        sfx: settings.get('sfxVolume')
+    };
+}
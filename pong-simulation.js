@@ -0,0 +1,867 @@
+import { EventEmitter } from './event-emitter.js';
+import { SeededRandom } from './seeded-random.js';
+import { PowerUps } from './power-ups.js';
+
+// Paddle sides: 'near' is the local player (+z), 'far' is the opponent (-z)
+export const SIDES = ['near', 'far'];
+
+export const DEFAULT_SIMULATION_CONFIG = {
+    // Table and play area dimensions (meters, in table-local space)
+    tableWidth: 0.8,
+    tableDepth: 1.2,
+    tableHeight: 0.01,
+    playAreaHeight: 0.6,
+
+    // Paddles
+    paddleWidth: 0.15,
+    paddleHeight: 0.15,
+    paddleDepth: 0.01,
+    paddleInset: 0.05, // Distance of the paddle from the goal line
+    paddleDepthRatio: 0.4, // Fraction of table depth a paddle may move through
+    inputPrecision: 0.0001, // Paddle positions snap to this grid so replays reproduce exactly
+    paddleVelocitySmoothing: 0.5, // Weight of the latest step in the tracked paddle velocity
+    maxPaddleSpeed: 3, // Faster paddle jumps, e.g. a new touch, count as this speed
+
+    // Ball
+    ballRadius: 0.02,
+    ballSpeed: 0.5,
+    maxBallSpeed: 0.8,
+    minReturnDepthRatio: 0.5, // Share of the ball speed a return keeps heading down the table
+    levelSpeedIncrease: 0.05,
+    gravity: -0.3,
+    groundDamping: 0.8,
+    restingSpeed: 0.05, // Vertical bounces slower than this come to rest on the table
+
+    // Swing and spin
+    swingTransfer: 0.4, // Share of the paddle's velocity passed on to the ball
+    maxSwingSpeed: 1.4, // Fastest a swing can send the ball
+    spinTransfer: 0.25, // Share of the paddle's sideways and vertical motion turned into spin
+    magnusCoefficient: 0.015, // Curve of a spinning ball, per unit of spin and speed
+    spinDamping: 0.5, // Share of the spin lost per second in flight
+    bounceFriction: 0.3, // Share of the topspin or backspin turned into speed at a bounce
+
+    // Arcade mode: power-ups over the table, each type enabled on its own
+    arcadeMode: false,
+    powerUpGrow: true,
+    powerUpMultiBall: true,
+    powerUpSlowMotion: true,
+    powerUpCurve: true,
+    powerUpShield: true,
+    powerUpShrink: true,
+    powerUpSpawnInterval: 6, // Average seconds between power-ups
+    powerUpLifetime: 10, // Seconds of rally an uncollected power-up stays
+    powerUpRadius: 0.04,
+    maxPowerUps: 2,
+    curveSpin: 25, // Sidespin (rad/s) of hits with the curve ball effect
+
+    // Match flow
+    winningScore: 5,
+    countdownDuration: 3.0,
+    serveDelay: 0.5,
+    pointDelay: 1.0,
+
+    // Fixed-step integration
+    timestep: 1 / 60,
+    maxFrameDelta: 0.25, // Longer frame hitches are dropped rather than simulated
+    maxSubSteps: 15,
+    maxCollisionIterations: 4
+};
+
+// Match phases and the phases each one may move on to. A match counts down,
+// serves and plays rallies; a point pauses briefly before the next serve,
+// until someone wins. A finished game waits for a rematch. Rallies can also
+// go back to serving when a rule change invalidates the ball.
+export const PHASE_TRANSITIONS = {
+    countdown: ['serving'],
+    serving: ['rally'],
+    rally: ['point-scored', 'game-over', 'serving'],
+    'point-scored': ['serving'],
+    'game-over': ['countdown']
+};
+
+// Leaves all swing and spin out of the rules, as they were before swing physics
+export const CLASSIC_PHYSICS = {
+    swingTransfer: 0,
+    spinTransfer: 0,
+    bounceFriction: 0
+};
+
+// Contacts closer together than this are treated as simultaneous
+const TIME_EPSILON = 1e-9;
+
+function vec3(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+function copyVec3(target, source) {
+    target.x = source.x;
+    target.y = source.y;
+    target.z = source.z;
+    return target;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function otherSide(side) {
+    return side === 'near' ? 'far' : 'near';
+}
+
+// Pure, DOM-free pong rules. The simulation owns the ball, paddle and score
+// state, advances it in fixed steps with advance(frameDelta, inputs) or
+// step(inputs) and reports what happened through events ('phase', 'launch',
+// 'hit', 'wall', 'score', 'game-over', 'new-game', plus 'step' after every
+// step and 'config' on rule changes) so a renderer, audio layer, recorder or
+// bot can react without touching the rules.
+//
+// Paddle velocities are tracked from their movement between steps. A hit
+// passes some of that velocity on to the ball, forward swings hit harder,
+// and brushing the ball gives it spin, which curves its flight and makes it
+// kick forward (topspin) or hold back (backspin) when it bounces on the table.
+//
+// In arcade mode power-ups (see power-ups.js) appear over the table and are
+// collected by balls a player hit, reported with 'power-up-spawned',
+// 'power-up', 'power-up-expired' and 'shield' events. Multi-ball puts extra
+// balls in play, which follow the same rules until the next point.
+//
+// Every match timer is counted in simulation time, so a paused or disposed
+// game has nothing left running.
+//
+// A non-authoritative simulation (a networked guest) only moves the ball and
+// paddles; serving, scoring and match flow arrive through applySnapshot().
+export class PongSimulation extends EventEmitter {
+    constructor(config = {}, { seed, authoritative = true } = {}) {
+        super();
+
+        this.config = { ...DEFAULT_SIMULATION_CONFIG, ...config };
+        this.random = new SeededRandom(seed);
+        this.authoritative = authoritative;
+
+        // Unsimulated time carried over between frames
+        this.accumulator = 0;
+
+        // Paddle positions before the current step's input
+        this.previousPaddles = { near: vec3(), far: vec3() };
+
+        this.state = {
+            tick: 0,
+            time: 0,
+            phase: 'countdown', // See PHASE_TRANSITIONS
+            phaseTimer: this.config.countdownDuration,
+            level: 1,
+            ballSpeed: this.config.ballSpeed,
+            ball: this.createBall(),
+            extraBalls: [], // Arcade multi-ball, moved by the same rules as the ball
+            paddles: {
+                near: vec3(),
+                far: vec3()
+            },
+            // Meters per second, smoothed over a few steps
+            paddleVelocities: {
+                near: vec3(),
+                far: vec3()
+            },
+            scores: { near: 0, far: 0 },
+            powerUps: PowerUps.createState()
+        };
+
+        this.powerUps = new PowerUps(this);
+        this.powerUps.reset();
+
+        this.resetPaddles();
+        this.resetBall();
+    }
+
+    createBall({ position = vec3(), velocity = vec3(), spin = vec3(), lastHitBy = null } = {}) {
+        return {
+            position,
+            velocity,
+            spin, // Angular velocity, radians per second
+            lastPosition: { ...position },
+            lastHitBy // Side that last hit the ball, it collects power-ups for them
+        };
+    }
+
+    // The ball and any extra balls in play
+    getBalls() {
+        return [this.state.ball, ...this.state.extraBalls];
+    }
+
+    // Paddle face size for a side, grown or shrunk by arcade effects
+    getPaddleSize(side) {
+        const c = this.config;
+        const scale = this.powerUps.getPaddleScale(side);
+        return { width: c.paddleWidth * scale, height: c.paddleHeight * scale };
+    }
+
+    // Paddle movement limits for a side, in table-local space
+    getPaddleBounds(side) {
+        const c = this.config;
+        const size = this.getPaddleSize(side);
+        const halfDepth = c.tableDepth / 2;
+        const depthRange = c.tableDepth * c.paddleDepthRatio;
+        const maxX = c.tableWidth / 2 - size.width / 2;
+
+        return {
+            minX: -maxX,
+            maxX: maxX,
+            minY: c.tableHeight + size.height / 2,
+            maxY: c.tableHeight + c.playAreaHeight - size.height / 2,
+            minZ: side === 'near' ? halfDepth - depthRange : -halfDepth,
+            maxZ: side === 'near' ? halfDepth : -halfDepth + depthRange
+        };
+    }
+
+    getPaddleHome(side) {
+        const c = this.config;
+        const z = c.tableDepth / 2 - c.paddleInset;
+        return vec3(0, c.tableHeight + c.paddleHeight / 2, side === 'near' ? z : -z);
+    }
+
+    resetPaddles() {
+        for (const side of SIDES) {
+            copyVec3(this.state.paddles[side], this.getPaddleHome(side));
+        }
+    }
+
+    resetBall() {
+        const ball = this.state.ball;
+        ball.position.x = 0;
+        ball.position.y = this.config.tableHeight + this.config.ballRadius;
+        ball.position.z = 0;
+        ball.velocity.x = 0;
+        ball.velocity.y = 0;
+        ball.velocity.z = 0;
+        ball.spin.x = 0;
+        ball.spin.y = 0;
+        ball.spin.z = 0;
+        ball.lastHitBy = null;
+        copyVec3(ball.lastPosition, ball.position);
+
+        // Extra balls only last until the next serve
+        this.state.extraBalls.length = 0;
+    }
+
+    // Change the rules mid-match, e.g. from the settings panel. The ball keeps
+    // its level's speed-up, paddles are kept in bounds, and a ball the new
+    // table no longer contains is served again.
+    updateConfig(changes) {
+        const c = this.config;
+        const state = this.state;
+        const previousBallSpeed = c.ballSpeed;
+
+        Object.assign(c, changes);
+
+        if (c.ballSpeed !== previousBallSpeed && previousBallSpeed > 0) {
+            const scale = c.ballSpeed / previousBallSpeed;
+            state.ballSpeed *= scale;
+            for (const ball of this.getBalls()) {
+                ball.velocity.x *= scale;
+                ball.velocity.y *= scale;
+                ball.velocity.z *= scale;
+            }
+        }
+
+        for (const side of SIDES) {
+            this.setPaddleTarget(side, { ...state.paddles[side] });
+        }
+
+        // Turning arcade mode off takes its items, effects and balls away
+        if (!c.arcadeMode) {
+            this.powerUps.reset();
+            state.extraBalls.length = 0;
+        }
+
+        const position = state.ball.position;
+        const outside = Math.abs(position.x) > c.tableWidth / 2 - c.ballRadius ||
+            Math.abs(position.z) > c.tableDepth / 2;
+        if (outside && this.authoritative && state.phase === 'rally') {
+            this.resetBall();
+            this.setPhase('serving', c.serveDelay);
+        }
+
+        this.emit('config', { changes: { ...changes } });
+    }
+
+    // Move a paddle towards a target, clamped to its side of the table
+    setPaddleTarget(side, target) {
+        if (!target) return;
+
+        const paddle = this.state.paddles[side];
+        const bounds = this.getPaddleBounds(side);
+
+        const snap = (value) => Math.round(value / this.config.inputPrecision) * this.config.inputPrecision;
+
+        if (Number.isFinite(target.x)) paddle.x = snap(clamp(target.x, bounds.minX, bounds.maxX));
+        if (Number.isFinite(target.y)) paddle.y = snap(clamp(target.y, bounds.minY, bounds.maxY));
+        if (Number.isFinite(target.z)) paddle.z = snap(clamp(target.z, bounds.minZ, bounds.maxZ));
+    }
+
+    // Advance by a variable frame time in fixed steps. `inputs` is either an
+    // inputs object for step() or a function returning one, called once per step.
+    // Returns the number of steps taken.
+    advance(frameDelta, inputs = {}) {
+        const c = this.config;
+        this.accumulator += Math.min(Math.max(frameDelta, 0), c.maxFrameDelta);
+
+        let steps = 0;
+        while (this.accumulator >= c.timestep && steps < c.maxSubSteps) {
+            this.step(typeof inputs === 'function' ? inputs(c.timestep) : inputs);
+            this.accumulator -= c.timestep;
+            steps++;
+        }
+
+        // Drop time we could not catch up on instead of spiralling
+        if (steps >= c.maxSubSteps) {
+            this.accumulator = Math.min(this.accumulator, c.timestep);
+        }
+
+        return steps;
+    }
+
+    // Fraction of a step left in the accumulator, for render interpolation
+    getInterpolationAlpha() {
+        return this.accumulator / this.config.timestep;
+    }
+
+    // Ball position blended between the last two steps
+    getInterpolatedBallPosition(alpha = this.getInterpolationAlpha(), target = vec3(), ball = this.state.ball) {
+        target.x = ball.lastPosition.x + (ball.position.x - ball.lastPosition.x) * alpha;
+        target.y = ball.lastPosition.y + (ball.position.y - ball.lastPosition.y) * alpha;
+        target.z = ball.lastPosition.z + (ball.position.z - ball.lastPosition.z) * alpha;
+        return target;
+    }
+
+    // Advance the simulation by one step. `inputs` maps a side to the paddle
+    // target position for this step, e.g. { near: { x, y, z }, far: { x, y, z } }.
+    step(inputs = {}, dt = this.config.timestep) {
+        const state = this.state;
+
+        for (const side of SIDES) {
+            copyVec3(this.previousPaddles[side], state.paddles[side]);
+            this.setPaddleTarget(side, inputs[side]);
+        }
+        this.trackPaddleVelocities(dt);
+
+        if (!this.authoritative) {
+            if (state.phase === 'rally') {
+                this.stepBalls(dt);
+            } else {
+                // Only for display, the authority decides when the phase ends
+                state.phaseTimer = Math.max(state.phaseTimer - dt, 0);
+            }
+            state.tick++;
+            state.time += dt;
+            return;
+        }
+
+        switch (state.phase) {
+            case 'countdown':
+            case 'point-scored':
+                state.phaseTimer -= dt;
+                if (state.phaseTimer <= 0) {
+                    this.setPhase('serving', this.config.serveDelay);
+                }
+                break;
+
+            case 'serving':
+                state.phaseTimer -= dt;
+                if (state.phaseTimer <= 0) {
+                    this.launchBall();
+                }
+                break;
+
+            case 'rally':
+                this.stepBalls(dt);
+                if (state.phase === 'rally') {
+                    this.powerUps.step(dt);
+                }
+                break;
+
+            // 'game-over' waits for rematch()
+        }
+
+        state.tick++;
+        state.time += dt;
+        this.emit('step', state);
+    }
+
+    trackPaddleVelocities(dt) {
+        const c = this.config;
+
+        for (const side of SIDES) {
+            const paddle = this.state.paddles[side];
+            const previous = this.previousPaddles[side];
+            const velocity = this.state.paddleVelocities[side];
+
+            let x = (paddle.x - previous.x) / dt;
+            let y = (paddle.y - previous.y) / dt;
+            let z = (paddle.z - previous.z) / dt;
+
+            const speed = Math.sqrt(x * x + y * y + z * z);
+            if (speed > c.maxPaddleSpeed) {
+                const scale = c.maxPaddleSpeed / speed;
+                x *= scale;
+                y *= scale;
+                z *= scale;
+            }
+
+            const weight = c.paddleVelocitySmoothing;
+            velocity.x += (x - velocity.x) * weight;
+            velocity.y += (y - velocity.y) * weight;
+            velocity.z += (z - velocity.z) * weight;
+        }
+    }
+
+    // Move to another phase, refusing transitions the match flow doesn't allow
+    setPhase(phase, timer = 0) {
+        const state = this.state;
+        const from = state.phase;
+
+        if (!PHASE_TRANSITIONS[from]?.includes(phase)) {
+            throw new Error(`Invalid match phase transition from "${from}" to "${phase}"`);
+        }
+
+        state.phase = phase;
+        state.phaseTimer = timer;
+        this.emit('phase', { from, to: phase });
+    }
+
+    launchBall() {
+        const state = this.state;
+        const velocity = state.ball.velocity;
+        const speed = state.ballSpeed;
+
+        // Randomize initial direction in 3D
+        const horizontalAngle = this.random.next() * Math.PI * 2;
+        const verticalAngle = (this.random.next() - 0.5) * Math.PI * 0.3; // Limit vertical angle
+
+        velocity.x = Math.cos(horizontalAngle) * Math.cos(verticalAngle) * speed;
+        velocity.y = Math.sin(verticalAngle) * speed;
+        velocity.z = Math.sin(horizontalAngle) * Math.cos(verticalAngle) * speed;
+
+        // Ensure movement toward players
+        if (Math.abs(velocity.z) < 0.3) {
+            velocity.z = (velocity.z > 0 ? 0.3 : -0.3);
+        }
+
+        copyVec3(state.ball.lastPosition, state.ball.position);
+        this.setPhase('rally');
+
+        this.emit('launch', {
+            position: { ...state.ball.position },
+            velocity: { ...velocity }
+        });
+    }
+
+    // Move every ball in play; slow motion slows the balls but not the paddles
+    stepBalls(dt) {
+        const scaledDt = dt * this.powerUps.getTimeScale();
+
+        for (const ball of this.getBalls()) {
+            this.stepBall(ball, scaledDt);
+
+            // A point ends the rally for every ball
+            if (this.state.phase !== 'rally') break;
+        }
+    }
+
+    // Integrate a ball over dt, sweeping it against the play area so it
+    // cannot tunnel through paddles, walls, floor or ceiling on long steps
+    stepBall(ball, dt) {
+        const c = this.config;
+        const position = ball.position;
+        const velocity = ball.velocity;
+        const spin = ball.spin;
+
+        copyVec3(ball.lastPosition, position);
+
+        // Semi-implicit Euler: apply gravity and the spin's Magnus force
+        // first, then move along a straight segment
+        const magnusX = c.magnusCoefficient * (spin.y * velocity.z - spin.z * velocity.y);
+        const magnusY = c.magnusCoefficient * (spin.z * velocity.x - spin.x * velocity.z);
+        const magnusZ = c.magnusCoefficient * (spin.x * velocity.y - spin.y * velocity.x);
+        velocity.x += magnusX * dt;
+        velocity.y += (c.gravity + magnusY) * dt;
+        velocity.z += magnusZ * dt;
+
+        const spinDecay = Math.max(1 - c.spinDamping * dt, 0);
+        spin.x *= spinDecay;
+        spin.y *= spinDecay;
+        spin.z *= spinDecay;
+
+        // A paddle pushed into the ball hits it even without a crossing
+        for (const side of SIDES) {
+            if (this.isMovingTowards(side, ball) && this.overlapsPaddle(side, ball)) {
+                this.reflectFromPaddle(side, ball);
+            }
+        }
+
+        let remaining = dt;
+        for (let i = 0; i < c.maxCollisionIterations && remaining > TIME_EPSILON; i++) {
+            const contact = this.findFirstContact(ball, remaining);
+            const time = contact ? contact.time : remaining;
+
+            position.x += velocity.x * time;
+            position.y += velocity.y * time;
+            position.z += velocity.z * time;
+            remaining -= time;
+
+            if (contact) {
+                this.resolveContact(ball, contact);
+            }
+        }
+
+        // Out of iterations: finish the step without further collision checks
+        if (remaining > TIME_EPSILON) {
+            position.x += velocity.x * remaining;
+            position.y += velocity.y * remaining;
+            position.z += velocity.z * remaining;
+        }
+
+        if (this.authoritative) {
+            this.powerUps.checkPickups(ball);
+            this.checkScoring(ball);
+        }
+    }
+
+    isMovingTowards(side, ball = this.state.ball) {
+        return Math.sign(ball.velocity.z) === (side === 'near' ? 1 : -1);
+    }
+
+    overlapsPaddle(side, ball = this.state.ball) {
+        const c = this.config;
+        const position = ball.position;
+        const paddle = this.state.paddles[side];
+        const size = this.getPaddleSize(side);
+
+        return Math.abs(position.x - paddle.x) <= size.width / 2 + c.ballRadius &&
+            Math.abs(position.y - paddle.y) <= size.height / 2 + c.ballRadius &&
+            Math.abs(position.z - paddle.z) < c.paddleDepth / 2 + c.ballRadius;
+    }
+
+    // Earliest time within maxTime at which a ball's sphere touches a surface
+    findFirstContact(ball, maxTime) {
+        const c = this.config;
+        const position = ball.position;
+        const velocity = ball.velocity;
+        let first = null;
+
+        const consider = (time, surface, side) => {
+            time = Math.max(time, 0); // Already touching
+            if (time <= maxTime && (!first || time < first.time)) {
+                first = { time, surface, side };
+            }
+        };
+
+        // Floor and ceiling
+        const floorY = c.tableHeight + c.ballRadius;
+        const ceilingY = c.tableHeight + c.playAreaHeight - c.ballRadius;
+        if (velocity.y < 0) {
+            consider((floorY - position.y) / velocity.y, 'floor');
+        } else if (velocity.y > 0) {
+            consider((ceilingY - position.y) / velocity.y, 'ceiling');
+        }
+
+        // Side walls
+        const wallX = c.tableWidth / 2 - c.ballRadius;
+        if (velocity.x < 0) {
+            consider((-wallX - position.x) / velocity.x, 'left');
+        } else if (velocity.x > 0) {
+            consider((wallX - position.x) / velocity.x, 'right');
+        }
+
+        // Paddle faces, only from the front
+        for (const side of SIDES) {
+            if (!this.isMovingTowards(side, ball)) continue;
+
+            const paddle = this.state.paddles[side];
+            const size = this.getPaddleSize(side);
+            const direction = side === 'near' ? 1 : -1;
+            const contactZ = paddle.z - direction * (c.paddleDepth / 2 + c.ballRadius);
+            const distance = (contactZ - position.z) * direction;
+
+            // Ball centre is already behind the face: it can no longer be returned
+            if (distance < 0) continue;
+
+            const time = distance / Math.abs(velocity.z);
+            if (time > maxTime) continue;
+
+            // Sphere against the face rectangle at the moment it reaches the face
+            const x = position.x + velocity.x * time;
+            const y = position.y + velocity.y * time;
+            if (Math.abs(x - paddle.x) <= size.width / 2 + c.ballRadius &&
+                Math.abs(y - paddle.y) <= size.height / 2 + c.ballRadius) {
+                consider(time, 'paddle', side);
+            }
+        }
+
+        return first;
+    }
+
+    resolveContact(ball, contact) {
+        const c = this.config;
+        const position = ball.position;
+        const velocity = ball.velocity;
+
+        switch (contact.surface) {
+            case 'floor':
+            case 'ceiling': {
+                position.y = contact.surface === 'floor'
+                    ? c.tableHeight + c.ballRadius
+                    : c.tableHeight + c.playAreaHeight - c.ballRadius;
+
+                const bounce = -velocity.y * c.groundDamping;
+                if (contact.surface === 'floor') {
+                    this.applyBounceFriction(ball);
+                }
+
+                // Small bounces on the table settle into rolling
+                if (contact.surface === 'floor' && Math.abs(bounce) < c.restingSpeed) {
+                    velocity.y = 0;
+                    break;
+                }
+
+                velocity.y = bounce;
+                this.emit('wall', { surface: contact.surface, position: { ...position } });
+                break;
+            }
+
+            case 'left':
+            case 'right':
+                position.x = (contact.surface === 'left' ? -1 : 1) * (c.tableWidth / 2 - c.ballRadius);
+                velocity.x = -velocity.x;
+                this.emit('wall', { surface: contact.surface, position: { ...position } });
+                break;
+
+            case 'paddle':
+                this.reflectFromPaddle(contact.side, ball);
+                break;
+        }
+    }
+
+    // The bottom of a spinning ball grips the table as it bounces: topspin
+    // kicks the ball forward and backspin holds it back, using up some of
+    // the spin. Backspin never slows the ball below the slowest return.
+    applyBounceFriction(ball) {
+        const c = this.config;
+        const velocity = ball.velocity;
+        const spin = ball.spin;
+
+        const directionZ = Math.sign(velocity.z);
+        const minSpeedZ = Math.min(Math.abs(velocity.z), this.state.ballSpeed * c.minReturnDepthRatio);
+
+        velocity.z += spin.x * c.ballRadius * c.bounceFriction;
+        if (velocity.z * directionZ < minSpeedZ) {
+            velocity.z = directionZ * minSpeedZ;
+        }
+        spin.x *= 1 - c.bounceFriction;
+    }
+
+    reflectFromPaddle(side, ball = this.state.ball) {
+        const c = this.config;
+        const paddle = this.state.paddles[side];
+        const size = this.getPaddleSize(side);
+        const direction = side === 'near' ? 1 : -1;
+        const velocity = ball.velocity;
+        const swing = this.state.paddleVelocities[side];
+
+        // Reflect ball
+        velocity.z = -velocity.z;
+
+        // Add angle based on hit position, and steer along with the swing
+        const hitX = (ball.position.x - paddle.x) / (size.width / 2);
+        const hitY = (ball.position.y - paddle.y) / (size.height / 2);
+        velocity.x += hitX * 0.5 + swing.x * c.swingTransfer;
+        velocity.y += hitY * 0.5 + swing.y * c.swingTransfer;
+
+        // The ball leaves at the rally speed, plus whatever a forward swing adds
+        const forwardSwing = Math.max(-direction * swing.z, 0);
+        const ballSpeed = Math.min(
+            this.state.ballSpeed + forwardSwing * c.swingTransfer,
+            Math.max(c.maxSwingSpeed, this.state.ballSpeed)
+        );
+
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+        const scale = speed > 0 ? ballSpeed / speed : 0;
+        velocity.x *= scale;
+        velocity.y *= scale;
+        velocity.z *= scale;
+
+        // Steep angles must not stall the rally: keep enough speed along the table
+        const minDepthSpeed = ballSpeed * c.minReturnDepthRatio;
+        if (Math.abs(velocity.z) < minDepthSpeed) {
+            const lateral = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+            const lateralScale = lateral > 0
+                ? Math.sqrt(ballSpeed ** 2 - minDepthSpeed ** 2) / lateral
+                : 0;
+            velocity.x *= lateralScale;
+            velocity.y *= lateralScale;
+            velocity.z = -direction * minDepthSpeed;
+        }
+
+        // The paddle face drags the back of the ball along as it brushes
+        // past: upwards for topspin, sideways for sidespin
+        const spinScale = c.spinTransfer / c.ballRadius;
+        ball.spin.x = -direction * swing.y * spinScale;
+        ball.spin.y = direction * swing.x * spinScale;
+        ball.spin.z = 0;
+
+        // Curve balls bend back towards the middle of the table
+        if (this.powerUps.hasEffect('curve', side)) {
+            ball.spin.y -= Math.sign(velocity.x || hitX || 1) * Math.sign(velocity.z) * c.curveSpin;
+        }
+        ball.lastHitBy = side;
+
+        // Position correction
+        ball.position.z = paddle.z - direction * (c.paddleDepth / 2 + c.ballRadius);
+
+        this.emit('hit', {
+            side,
+            hitX,
+            hitY,
+            position: { ...ball.position },
+            velocity: { ...velocity },
+            spin: { ...ball.spin },
+            swingSpeed: Math.sqrt(swing.x * swing.x + swing.y * swing.y + swing.z * swing.z)
+        });
+    }
+
+    checkScoring(ball = this.state.ball) {
+        const c = this.config;
+        const position = ball.position;
+        const goalZ = c.tableDepth / 2 + c.ballRadius;
+
+        // Ball passed the near paddle: far side scores, and vice versa
+        const defender = position.z > goalZ ? 'near' : position.z < -goalZ ? 'far' : null;
+        if (!defender) return;
+
+        // A goal shield sends the ball back once
+        if (this.powerUps.useShield(defender)) {
+            const direction = defender === 'near' ? 1 : -1;
+            position.z = direction * goalZ;
+            ball.velocity.z = -ball.velocity.z;
+            this.emit('shield', { side: defender, position: { ...position } });
+            return;
+        }
+
+        this.awardPoint(otherSide(defender), ball);
+    }
+
+    awardPoint(side, ball = this.state.ball) {
+        const c = this.config;
+        const state = this.state;
+        const position = { ...ball.position };
+
+        state.scores[side]++;
+        this.emit('score', { side, position, scores: { ...state.scores } });
+
+        this.resetBall();
+
+        if (state.scores[side] >= c.winningScore) {
+            this.setPhase('game-over');
+            this.emit('game-over', {
+                winner: side,
+                loser: otherSide(side),
+                scores: { ...state.scores }
+            });
+        } else {
+            this.setPhase('point-scored', c.pointDelay);
+        }
+    }
+
+    // Start the next game after a game over, counting down again
+    rematch() {
+        const c = this.config;
+        const state = this.state;
+
+        if (state.phase !== 'game-over') return false;
+
+        state.scores.near = 0;
+        state.scores.far = 0;
+
+        // Increase difficulty slightly for next game
+        state.level++;
+        state.ballSpeed = Math.min(c.ballSpeed + state.level * c.levelSpeedIncrease, Math.max(c.maxBallSpeed, c.ballSpeed));
+
+        this.powerUps.reset();
+        this.resetBall();
+        this.setPhase('countdown', c.countdownDuration);
+
+        this.emit('new-game', { level: state.level, ballSpeed: state.ballSpeed });
+        return true;
+    }
+
+    // Plain, JSON-friendly copy of the state (for networking and replays)
+    getSnapshot() {
+        const state = this.state;
+        return {
+            tick: state.tick,
+            time: state.time,
+            phase: state.phase,
+            phaseTimer: state.phaseTimer,
+            level: state.level,
+            ballSpeed: state.ballSpeed,
+            ball: this.getBallSnapshot(state.ball),
+            extraBalls: state.extraBalls.map(ball => this.getBallSnapshot(ball)),
+            paddles: {
+                near: { ...state.paddles.near },
+                far: { ...state.paddles.far }
+            },
+            paddleVelocities: {
+                near: { ...state.paddleVelocities.near },
+                far: { ...state.paddleVelocities.far }
+            },
+            scores: { ...state.scores },
+            powerUps: this.powerUps.getSnapshot()
+        };
+    }
+
+    getBallSnapshot(ball) {
+        return {
+            position: { ...ball.position },
+            velocity: { ...ball.velocity },
+            spin: { ...ball.spin },
+            lastHitBy: ball.lastHitBy
+        };
+    }
+
+    applySnapshot(snapshot, { sides = SIDES } = {}) {
+        const state = this.state;
+
+        state.tick = snapshot.tick;
+        state.time = snapshot.time;
+        state.phase = snapshot.phase;
+        state.phaseTimer = snapshot.phaseTimer;
+        state.level = snapshot.level;
+        state.ballSpeed = snapshot.ballSpeed;
+        copyVec3(state.ball.position, snapshot.ball.position);
+        copyVec3(state.ball.velocity, snapshot.ball.velocity);
+        // Snapshots from before swing physics have no spin or paddle velocities
+        copyVec3(state.ball.spin, snapshot.ball.spin || vec3());
+        copyVec3(state.ball.lastPosition, snapshot.ball.position);
+        state.ball.lastHitBy = snapshot.ball.lastHitBy || null;
+        state.scores.near = snapshot.scores.near;
+        state.scores.far = snapshot.scores.far;
+
+        // Only overwrite the paddles we don't control locally
+        for (const side of sides) {
+            copyVec3(state.paddles[side], snapshot.paddles[side]);
+            copyVec3(state.paddleVelocities[side], snapshot.paddleVelocities?.[side] || vec3());
+        }
+
+        // Snapshots from before arcade mode have no extra balls or power-ups
+        state.extraBalls = (snapshot.extraBalls || []).map(ball => this.createBall({
+            position: { ...ball.position },
+            velocity: { ...ball.velocity },
+            spin: { ...ball.spin },
+            lastHitBy: ball.lastHitBy
+        }));
+        if (snapshot.powerUps) {
+            this.powerUps.applySnapshot(snapshot.powerUps);
+        } else {
+            this.powerUps.reset();
+        }
+    }
+}
@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import { POWER_UPS } from './power-ups.js';
+import { SIDES } from './pong-simulation.js';
+
+// Seconds before an uncollected power-up vanishes that it starts blinking
+const BLINK_TIME = 2;
+
+// Draws the arcade state of a PongSimulation: the power-up items floating
+// over the table, extra balls from multi-ball and the goal shields. Meshes
+// are matched to the simulation state every frame, so it works the same for
+// local games, online guests and replays.
+export class PowerUpVisuals {
+    constructor(arScene, simulation) {
+        this.arScene = arScene;
+        this.simulation = simulation;
+        this.time = 0;
+
+        // Item meshes by item id
+        this.items = new Map();
+        this.extraBalls = [];
+        this.shields = {};
+        this.ballLook = null;
+
+        this.createShields();
+    }
+
+    // Extra balls look like the main ball
+    setBallLook(ball) {
+        this.ballLook = ball;
+        for (const mesh of this.extraBalls) {
+            this.arScene.removeObject(mesh);
+        }
+        this.extraBalls = [];
+    }
+
+    // A translucent pane across each goal line, shown while that side has a shield
+    createShields() {
+        const c = this.simulation.config;
+        for (const side of SIDES) {
+            if (this.shields[side]) {
+                this.arScene.disposeObject(this.shields[side]);
+            }
+
+            const geometry = new THREE.BoxGeometry(c.tableWidth, c.playAreaHeight, 0.005);
+            const material = new THREE.MeshBasicMaterial({
+                color: POWER_UPS.shield.color,
+                transparent: true,
+                opacity: 0.25,
+                depthWrite: false
+            });
+            const shield = new THREE.Mesh(geometry, material);
+            const goalZ = c.tableDepth / 2 + c.ballRadius;
+            shield.position.set(0, c.tableHeight + c.playAreaHeight / 2, side === 'near' ? goalZ : -goalZ);
+            shield.visible = false;
+
+            this.arScene.addObject(shield);
+            this.shields[side] = shield;
+        }
+    }
+
+    createItem(item) {
+        const radius = this.simulation.config.powerUpRadius;
+        const color = POWER_UPS[item.type].color;
+
+        const mesh = new THREE.Mesh(
+            new THREE.OctahedronGeometry(radius * 0.7),
+            new THREE.MeshPhongMaterial({
+                color,
+                emissive: new THREE.Color(color).multiplyScalar(0.4),
+                transparent: true,
+                opacity: 0.9,
+                shininess: 80
+            })
+        );
+
+        // Faint halo marking how close a ball must come to collect it
+        const halo = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 16),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.15, depthWrite: false })
+        );
+        mesh.add(halo);
+        mesh.castShadow = true;
+
+        this.arScene.addObject(mesh);
+        return mesh;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        const state = this.simulation.state;
+
+        this.updateItems(state.powerUps.items, deltaTime);
+        this.updateExtraBalls(state.extraBalls);
+
+        for (const side of SIDES) {
+            this.shields[side].visible = this.simulation.powerUps.hasEffect('shield', side);
+        }
+    }
+
+    updateItems(items, deltaTime) {
+        const current = new Set();
+        for (const item of items) {
+            current.add(item.id);
+
+            let mesh = this.items.get(item.id);
+            if (!mesh) {
+                mesh = this.createItem(item);
+                this.items.set(item.id, mesh);
+            }
+
+            // Spin and bob in place, blinking before it goes
+            mesh.rotation.y += deltaTime * 2;
+            mesh.position.set(item.position.x, item.position.y + Math.sin(this.time * 3 + item.id) * 0.01, item.position.z);
+            mesh.visible = item.remaining > BLINK_TIME || Math.floor(this.time * 8) % 2 === 0;
+        }
+
+        // Collected or expired
+        for (const [id, mesh] of this.items) {
+            if (!current.has(id)) {
+                this.arScene.disposeObject(mesh);
+                this.items.delete(id);
+            }
+        }
+    }
+
+    updateExtraBalls(balls) {
+        while (this.extraBalls.length < balls.length && this.ballLook) {
+            const mesh = new THREE.Mesh(this.ballLook.geometry, this.ballLook.material);
+            mesh.castShadow = true;
+            this.arScene.addObject(mesh);
+            this.extraBalls.push(mesh);
+        }
+        // Extra balls share the main ball's geometry and material, so they are only removed
+        while (this.extraBalls.length > balls.length) {
+            this.arScene.removeObject(this.extraBalls.pop());
+        }
+
+        // Blend between fixed steps like the main ball
+        balls.forEach((ball, i) => {
+            if (this.extraBalls[i]) {
+                this.simulation.getInterpolatedBallPosition(undefined, this.extraBalls[i].position, ball);
+            }
+        });
+    }
+
+    dispose() {
+        for (const mesh of this.items.values()) {
+            this.arScene.disposeObject(mesh);
+        }
+        for (const mesh of this.extraBalls) {
+            this.arScene.removeObject(mesh);
+        }
+        for (const side of SIDES) {
+            this.arScene.disposeObject(this.shields[side]);
+        }
+        this.items.clear();
+        this.extraBalls = [];
+        this.shields = {};
+    }
+}
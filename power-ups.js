@@ -0,0 +1,254 @@
+// Arcade modifiers. Each power-up has the simulation config key that enables
+// it, how long its effect lasts (s, 0 for instant ones) and who it affects:
+// the player who collected it, their opponent, or everyone.
+export const POWER_UPS = {
+    grow: { label: 'Bigger paddle', configKey: 'powerUpGrow', duration: 10, affects: 'self', color: 0x33ff66 },
+    'multi-ball': { label: 'Multi-ball', configKey: 'powerUpMultiBall', duration: 0, affects: 'all', color: 0xffcc00 },
+    'slow-motion': { label: 'Slow motion', configKey: 'powerUpSlowMotion', duration: 6, affects: 'all', color: 0x66aaff },
+    curve: { label: 'Curve ball', configKey: 'powerUpCurve', duration: 8, affects: 'self', color: 0xff66ff },
+    shield: { label: 'Goal shield', configKey: 'powerUpShield', duration: 12, affects: 'self', color: 0x00ffff },
+    shrink: { label: 'Shrink opponent', configKey: 'powerUpShrink', duration: 8, affects: 'opponent', color: 0xff4444 }
+};
+
+// Paddle size multipliers of the size effects
+const GROW_SCALE = 1.4;
+const SHRINK_SCALE = 0.6;
+
+// Ball speed while slow motion is on
+const SLOW_MOTION_SCALE = 0.5;
+
+// Balls in play at most, the main ball included
+const MAX_BALLS = 3;
+
+// Turn (radians) of the balls a multi-ball splits off
+const SPLIT_ANGLE = 0.4;
+
+function otherSide(side) {
+    return side === 'near' ? 'far' : 'near';
+}
+
+// The arcade rules on top of a PongSimulation: a spawn scheduler placing
+// collectible items over the table, pickups by balls a player has hit, and a
+// stack of timed effects the simulation asks about when it moves paddles and
+// balls. All of it lives in the simulation's state and draws from its seeded
+// random numbers, so it is part of snapshots and replays reproduce it.
+//
+// Only an authoritative simulation spawns, collects and times power-ups; a
+// networked guest gets them through snapshots.
+export class PowerUps {
+    constructor(simulation) {
+        this.simulation = simulation;
+    }
+
+    static createState() {
+        return { items: [], effects: [], spawnTimer: 0, nextId: 1 };
+    }
+
+    get state() {
+        return this.simulation.state.powerUps;
+    }
+
+    // Power-up types the config has enabled
+    getEnabledTypes() {
+        const config = this.simulation.config;
+        return Object.keys(POWER_UPS).filter(type => config[POWER_UPS[type].configKey]);
+    }
+
+    // Clear the table and every effect, e.g. for a new game
+    reset() {
+        const state = this.state;
+        state.items.length = 0;
+        state.effects.length = 0;
+        state.spawnTimer = this.simulation.config.powerUpSpawnInterval;
+    }
+
+    // Advance spawning, item lifetimes and effect timers during a rally
+    step(dt) {
+        if (!this.simulation.config.arcadeMode) return;
+
+        this.updateItems(dt);
+        this.updateEffects(dt);
+
+        const state = this.state;
+        state.spawnTimer -= dt;
+        if (state.spawnTimer <= 0) {
+            this.spawnItem();
+            const interval = this.simulation.config.powerUpSpawnInterval;
+            state.spawnTimer = this.simulation.random.range(interval * 0.5, interval * 1.5);
+        }
+    }
+
+    spawnItem() {
+        const simulation = this.simulation;
+        const c = simulation.config;
+        const types = this.getEnabledTypes();
+        if (types.length === 0 || this.state.items.length >= c.maxPowerUps) return;
+
+        // Anywhere across the table, in the middle half between the paddles,
+        // low enough for bouncing balls to reach
+        const random = simulation.random;
+        const type = types[Math.floor(random.next() * types.length)];
+        const halfWidth = c.tableWidth / 2 - c.powerUpRadius;
+        const item = {
+            id: this.state.nextId++,
+            type,
+            position: {
+                x: random.range(-halfWidth, halfWidth),
+                y: c.tableHeight + random.range(c.powerUpRadius, Math.min(c.playAreaHeight / 3, 0.2)),
+                z: random.range(-c.tableDepth / 4, c.tableDepth / 4)
+            },
+            remaining: c.powerUpLifetime
+        };
+
+        this.state.items.push(item);
+        simulation.emit('power-up-spawned', { id: item.id, type, position: { ...item.position } });
+    }
+
+    updateItems(dt) {
+        const items = this.state.items;
+        for (let i = items.length - 1; i >= 0; i--) {
+            items[i].remaining -= dt;
+            if (items[i].remaining <= 0) {
+                items.splice(i, 1);
+            }
+        }
+    }
+
+    updateEffects(dt) {
+        const effects = this.state.effects;
+        for (let i = effects.length - 1; i >= 0; i--) {
+            const effect = effects[i];
+            effect.remaining -= dt;
+            if (effect.remaining <= 0) {
+                effects.splice(i, 1);
+                this.simulation.emit('power-up-expired', { type: effect.type, side: effect.side });
+            }
+        }
+    }
+
+    // Collect any item a ball runs into, for the player who last hit it
+    checkPickups(ball) {
+        const c = this.simulation.config;
+        if (!c.arcadeMode || !ball.lastHitBy) return;
+
+        const items = this.state.items;
+        const reach = c.powerUpRadius + c.ballRadius;
+        for (let i = items.length - 1; i >= 0; i--) {
+            const item = items[i];
+            const dx = ball.position.x - item.position.x;
+            const dy = ball.position.y - item.position.y;
+            const dz = ball.position.z - item.position.z;
+            if (dx * dx + dy * dy + dz * dz <= reach * reach) {
+                items.splice(i, 1);
+                this.activate(item, ball);
+            }
+        }
+    }
+
+    activate(item, ball) {
+        const definition = POWER_UPS[item.type];
+        const side = ball.lastHitBy;
+        const affected = definition.affects === 'all' ? null
+            : definition.affects === 'opponent' ? otherSide(side) : side;
+
+        if (item.type === 'multi-ball') {
+            this.splitBall(ball);
+        } else {
+            this.addEffect(item.type, affected, definition.duration);
+        }
+
+        this.simulation.emit('power-up', {
+            type: item.type,
+            side,
+            affected,
+            position: { ...item.position }
+        });
+    }
+
+    // Effects stack: different ones run side by side, and collecting one that
+    // is already running starts its time over
+    addEffect(type, side, duration) {
+        const existing = this.state.effects.find(effect => effect.type === type && effect.side === side);
+        if (existing) {
+            existing.remaining = duration;
+        } else {
+            this.state.effects.push({ type, side, remaining: duration });
+        }
+    }
+
+    // Whether an effect is on for a side; effects on everyone count for both
+    hasEffect(type, side = null) {
+        return this.state.effects.some(effect => effect.type === type && (effect.side === null || effect.side === side));
+    }
+
+    removeEffect(type, side) {
+        const effects = this.state.effects;
+        const index = effects.findIndex(effect => effect.type === type && effect.side === side);
+        if (index !== -1) {
+            effects.splice(index, 1);
+        }
+    }
+
+    // Two more balls turned off either side of the one that collected it
+    splitBall(ball) {
+        const simulation = this.simulation;
+        const extraBalls = simulation.state.extraBalls;
+
+        for (const angle of [-SPLIT_ANGLE, SPLIT_ANGLE]) {
+            if (extraBalls.length >= MAX_BALLS - 1) break;
+
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const velocity = ball.velocity;
+            extraBalls.push(simulation.createBall({
+                position: { ...ball.position },
+                velocity: {
+                    x: velocity.x * cos - velocity.z * sin,
+                    y: velocity.y,
+                    z: velocity.x * sin + velocity.z * cos
+                },
+                spin: { ...ball.spin },
+                lastHitBy: ball.lastHitBy
+            }));
+        }
+    }
+
+    // Size multiplier of a side's paddle
+    getPaddleScale(side) {
+        let scale = 1;
+        if (this.hasEffect('grow', side)) scale *= GROW_SCALE;
+        if (this.hasEffect('shrink', side)) scale *= SHRINK_SCALE;
+        return scale;
+    }
+
+    // Share of the step time the balls move through
+    getTimeScale() {
+        return this.hasEffect('slow-motion') ? SLOW_MOTION_SCALE : 1;
+    }
+
+    // A shield stops one ball at the goal line, then it is used up
+    useShield(side) {
+        if (!this.hasEffect('shield', side)) return false;
+
+        this.removeEffect('shield', side);
+        return true;
+    }
+
+    getSnapshot() {
+        const state = this.state;
+        return {
+            items: state.items.map(item => ({ ...item, position: { ...item.position } })),
+            effects: state.effects.map(effect => ({ ...effect })),
+            spawnTimer: state.spawnTimer,
+            nextId: state.nextId
+        };
+    }
+
+    applySnapshot(snapshot) {
+        const state = this.state;
+        state.items = snapshot.items.map(item => ({ ...item, position: { ...item.position } }));
+        state.effects = snapshot.effects.map(effect => ({ ...effect }));
+        state.spawnTimer = snapshot.spawnTimer;
+        state.nextId = snapshot.nextId;
+    }
+}
@@ -0,0 +1,436 @@
+import { EventEmitter } from './event-emitter.js';
+import { PongSimulation, CLASSIC_PHYSICS } from './pong-simulation.js';
+
+export const REPLAY_FORMAT = 'ar-pong-replay';
+
+// Version 2 added swing and spin to the rules
+export const REPLAY_VERSION = 2;
+
+// Ticks between the snapshots the player seeks from
+const KEYFRAME_INTERVAL = 300;
+
+// Stop recording after 30 minutes at 60 steps per second
+const MAX_RECORDED_TICKS = 60 * 60 * 30;
+
+// Each tick stores six values: near x, y, z and far x, y, z
+const VALUES_PER_TICK = 6;
+
+// --- Input encoding ---
+//
+// Paddle positions are integers on the simulation's input grid. They are
+// stored as per-tick deltas, zigzag varint encoded; runs of ticks in which
+// neither paddle moved collapse into a single run length. A tick starts with
+// a header varint: 0 for a tick with deltas, or (run length * 2 + 1).
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function unzigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+}
+
+function encodeInputs(values, ticks) {
+    const bytes = [];
+    const previous = new Array(VALUES_PER_TICK).fill(0);
+    let idleRun = 0;
+
+    const flushIdle = () => {
+        if (idleRun > 0) {
+            writeVarint(bytes, idleRun * 2 + 1);
+            idleRun = 0;
+        }
+    };
+
+    for (let tick = 0; tick < ticks; tick++) {
+        const offset = tick * VALUES_PER_TICK;
+        const deltas = [];
+        for (let i = 0; i < VALUES_PER_TICK; i++) {
+            deltas.push(values[offset + i] - previous[i]);
+            previous[i] = values[offset + i];
+        }
+
+        if (deltas.every(delta => delta === 0)) {
+            idleRun++;
+            continue;
+        }
+
+        flushIdle();
+        writeVarint(bytes, 0);
+        for (const delta of deltas) {
+            writeVarint(bytes, zigzag(delta));
+        }
+    }
+    flushIdle();
+
+    // Base64 in chunks, spreading a large array into fromCharCode overflows the stack
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.slice(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeInputs(encoded, ticks) {
+    if (typeof encoded !== 'string') {
+        throw new Error("Replay inputs are missing");
+    }
+    const binary = atob(encoded);
+    const values = new Int32Array(ticks * VALUES_PER_TICK);
+    const previous = new Array(VALUES_PER_TICK).fill(0);
+    let position = 0;
+
+    const readVarint = () => {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            if (position >= binary.length) {
+                throw new Error("Replay inputs are truncated");
+            }
+            byte = binary.charCodeAt(position++);
+            value += (byte & 0x7f) * scale;
+            scale *= 0x80;
+        } while (byte & 0x80);
+        return value;
+    };
+
+    let tick = 0;
+    while (tick < ticks) {
+        const header = readVarint();
+        if (header !== 0 && header % 2 === 0) {
+            throw new Error("Replay inputs have an invalid tick header");
+        }
+        const run = header === 0 ? 1 : (header - 1) / 2;
+
+        if (header === 0) {
+            for (let i = 0; i < VALUES_PER_TICK; i++) {
+                previous[i] += unzigzag(readVarint());
+            }
+        }
+
+        for (let i = 0; i < run && tick < ticks; i++, tick++) {
+            values.set(previous, tick * VALUES_PER_TICK);
+        }
+    }
+
+    return values;
+}
+
+// --- Files ---
+
+export function serializeReplay(replay) {
+    return JSON.stringify({
+        ...replay,
+        inputs: encodeInputs(replay.inputs, replay.ticks)
+    });
+}
+
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("Replay file is not valid JSON");
+    }
+
+    if (data?.format !== REPLAY_FORMAT) {
+        throw new Error("Not an AR Pong replay file");
+    }
+    if (data.version > REPLAY_VERSION) {
+        throw new Error(`Replay version ${data.version} is newer than this app supports`);
+    }
+
+    // Check what the player builds the match from up front, so a damaged
+    // file fails here with a message the load screen can show
+    if (!Number.isInteger(data.ticks) || data.ticks <= 0 || data.ticks > MAX_RECORDED_TICKS) {
+        throw corruptReplay("it has no valid length");
+    }
+    if (!(data.config?.timestep > 0) || !(data.config.inputPrecision > 0)) {
+        throw corruptReplay("its rules are missing");
+    }
+    const start = data.start;
+    if (!start?.ball?.position || !start.ball.velocity || !start.paddles?.near || !start.paddles.far || !start.scores) {
+        throw corruptReplay("its starting state is missing");
+    }
+    if (!Number.isFinite(data.randomState) || (data.events !== undefined && !Array.isArray(data.events))) {
+        throw corruptReplay("its random state or events are damaged");
+    }
+
+    let inputs;
+    try {
+        inputs = decodeInputs(data.inputs, data.ticks);
+    } catch (error) {
+        throw corruptReplay("its recorded inputs are damaged or shorter than the match");
+    }
+
+    // Older replays only reproduce under the rules they were played with
+    const config = data.version < 2 ? { ...data.config, ...CLASSIC_PHYSICS } : data.config;
+
+    return { ...data, config, inputs };
+}
+
+function corruptReplay(reason) {
+    return new Error(`Replay file is corrupt, ${reason}`);
+}
+
+// Captures a match from the moment start() is called: the simulation config,
+// state and RNG state at that point, then the paddle positions after every
+// step and the rule changes and rematches in between. The simulation snaps
+// paddle inputs to its input grid, so feeding the recorded positions back
+// reproduces the match exactly.
+export class ReplayRecorder {
+    constructor(simulation, { metadata = {} } = {}) {
+        this.simulation = simulation;
+        this.metadata = metadata;
+        this.subscriptions = [];
+        this.recording = false;
+        this.reset();
+    }
+
+    reset() {
+        const simulation = this.simulation;
+
+        this.header = {
+            config: { ...simulation.config },
+            start: simulation.getSnapshot(),
+            seed: simulation.random.seed,
+            randomState: simulation.random.state
+        };
+        this.values = [];
+        this.events = [];
+        this.ticks = 0;
+    }
+
+    start() {
+        if (this.recording) return;
+
+        this.reset();
+        this.recording = true;
+
+        const simulation = this.simulation;
+        this.subscriptions.push(
+            simulation.on('step', () => this.recordStep()),
+            simulation.on('config', ({ changes }) => this.recordEvent({ type: 'config', changes })),
+            simulation.on('new-game', () => this.recordEvent({ type: 'rematch' }))
+        );
+    }
+
+    stop() {
+        this.subscriptions.forEach(off => off());
+        this.subscriptions = [];
+        this.recording = false;
+    }
+
+    recordStep() {
+        if (this.ticks >= MAX_RECORDED_TICKS) {
+            this.stop();
+            return;
+        }
+
+        const precision = this.simulation.config.inputPrecision;
+        const { near, far } = this.simulation.state.paddles;
+        for (const paddle of [near, far]) {
+            this.values.push(
+                Math.round(paddle.x / precision),
+                Math.round(paddle.y / precision),
+                Math.round(paddle.z / precision)
+            );
+        }
+        this.ticks++;
+    }
+
+    // Events are applied before the step with the same tick on playback
+    recordEvent(event) {
+        this.events.push({ tick: this.ticks, ...event });
+    }
+
+    getReplay() {
+        const state = this.simulation.state;
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            createdAt: new Date().toISOString(),
+            metadata: this.metadata,
+            ...this.header,
+            ticks: this.ticks,
+            inputs: this.values,
+            events: this.events,
+            // Lets the player check that playback ended where the match did
+            final: { tick: state.tick, scores: { ...state.scores }, level: state.level }
+        };
+    }
+
+    serialize() {
+        return serializeReplay(this.getReplay());
+    }
+}
+
+// Plays a parsed replay back on a simulation. The whole replay is simulated
+// once up front on a scratch simulation to collect keyframes for seeking and
+// to check it reproduces the recorded result. Emits 'seek' and 'ended'.
+export class ReplayPlayer extends EventEmitter {
+    constructor(simulation, replay) {
+        super();
+
+        this.simulation = simulation;
+        this.replay = replay;
+        this.precision = replay.config.inputPrecision;
+        this.timestep = replay.config.timestep;
+
+        this.eventsByTick = new Map();
+        for (const event of replay.events || []) {
+            const events = this.eventsByTick.get(event.tick) || [];
+            events.push(event);
+            this.eventsByTick.set(event.tick, events);
+        }
+
+        this.tick = 0;
+        this.accumulator = 0;
+        this.speed = 1;
+        this.playing = true;
+
+        this.scratch = new PongSimulation(replay.config, { seed: replay.seed });
+        this.keyframes = [];
+        this.verified = this.buildKeyframes();
+
+        this.restore(this.simulation, this.keyframes[0]);
+    }
+
+    get duration() {
+        return this.replay.ticks * this.timestep;
+    }
+
+    get time() {
+        return this.tick * this.timestep;
+    }
+
+    buildKeyframes() {
+        const scratch = this.scratch;
+        this.restore(scratch, {
+            tick: 0,
+            config: this.replay.config,
+            snapshot: this.replay.start,
+            randomState: this.replay.randomState
+        });
+
+        for (let tick = 0; tick < this.replay.ticks; tick++) {
+            if (tick % KEYFRAME_INTERVAL === 0) {
+                this.keyframes.push(this.captureKeyframe(scratch, tick));
+            }
+            this.stepSimulation(scratch, tick);
+        }
+
+        const final = this.replay.final;
+        if (!final) return true;
+
+        const scores = scratch.state.scores;
+        return scores.near === final.scores.near && scores.far === final.scores.far && scratch.state.level === final.level;
+    }
+
+    captureKeyframe(simulation, tick) {
+        return {
+            tick,
+            config: { ...simulation.config },
+            snapshot: simulation.getSnapshot(),
+            randomState: simulation.random.state
+        };
+    }
+
+    restore(simulation, keyframe) {
+        Object.assign(simulation.config, keyframe.config);
+        simulation.applySnapshot(keyframe.snapshot);
+        simulation.random.state = keyframe.randomState;
+        simulation.accumulator = 0;
+    }
+
+    getInputs(tick) {
+        const values = this.replay.inputs;
+        const offset = tick * 6;
+        const precision = this.precision;
+
+        return {
+            near: { x: values[offset] * precision, y: values[offset + 1] * precision, z: values[offset + 2] * precision },
+            far: { x: values[offset + 3] * precision, y: values[offset + 4] * precision, z: values[offset + 5] * precision }
+        };
+    }
+
+    stepSimulation(simulation, tick) {
+        for (const event of this.eventsByTick.get(tick) || []) {
+            if (event.type === 'config') {
+                simulation.updateConfig(event.changes);
+            } else if (event.type === 'rematch') {
+                simulation.rematch();
+            }
+        }
+        simulation.step(this.getInputs(tick));
+    }
+
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        const simulation = this.simulation;
+        const maxSteps = simulation.config.maxSubSteps;
+        this.accumulator += Math.min(deltaTime, simulation.config.maxFrameDelta) * this.speed;
+
+        let steps = 0;
+        while (this.accumulator >= this.timestep && this.tick < this.replay.ticks && steps < maxSteps) {
+            this.stepSimulation(simulation, this.tick);
+            this.tick++;
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+
+        if (this.tick >= this.replay.ticks) {
+            this.accumulator = 0;
+            this.playing = false;
+            this.emit('ended');
+        }
+
+        // Lets the renderer interpolate the ball between replayed steps
+        simulation.accumulator = Math.min(this.accumulator, this.timestep);
+    }
+
+    // Jump to a tick without replaying events on the visible simulation
+    seek(tick) {
+        tick = Math.max(0, Math.min(Math.round(tick), this.replay.ticks));
+
+        const index = Math.min(Math.floor(tick / KEYFRAME_INTERVAL), this.keyframes.length - 1);
+        const keyframe = this.keyframes[Math.max(index, 0)];
+        const scratch = this.scratch;
+
+        this.restore(scratch, keyframe);
+        for (let t = keyframe.tick; t < tick; t++) {
+            this.stepSimulation(scratch, t);
+        }
+
+        this.restore(this.simulation, this.captureKeyframe(scratch, tick));
+        this.tick = tick;
+        this.accumulator = 0;
+        this.emit('seek', { tick });
+    }
+
+    play() {
+        if (this.tick >= this.replay.ticks) {
+            this.seek(0);
+        }
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.05, speed);
+    }
+}
@@ -0,0 +1,26 @@
+// Small deterministic PRNG (mulberry32) so simulations can be reproduced from a seed
+export class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Returns a float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Returns a float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+}
@@ -0,0 +1,123 @@
+// Form for a SettingsStore. Several panels can show the same store (the
+// landing page and the in-AR overlay); they stay in sync through its
+// 'change' events.
+export class SettingsPanel {
+    constructor(container, store, { title = 'Settings' } = {}) {
+        this.container = container;
+        this.store = store;
+        this.title = title;
+        this.inputs = new Map();
+        this.unsubscribe = null;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.textContent = this.title;
+        this.container.appendChild(heading);
+
+        for (const setting of this.store.getSchema()) {
+            this.container.appendChild(this.createField(setting));
+        }
+
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'settings-reset';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => this.store.reset());
+        this.container.appendChild(resetButton);
+
+        this.unsubscribe = this.store.on('change', ({ id, value }) => this.showValue(id, value));
+    }
+
+    createField(setting) {
+        const field = document.createElement('label');
+        field.className = 'settings-field';
+
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.textContent = setting.label;
+        field.appendChild(label);
+
+        let input;
+        switch (setting.type) {
+            case 'number':
+                input = document.createElement('input');
+                input.type = 'range';
+                input.min = setting.min;
+                input.max = setting.max;
+                input.step = setting.step || 'any';
+                break;
+
+            case 'boolean':
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                break;
+
+            case 'select':
+                input = document.createElement('select');
+                for (const choice of setting.choices) {
+                    const option = document.createElement('option');
+                    option.value = choice.value;
+                    option.textContent = choice.label;
+                    input.appendChild(option);
+                }
+                break;
+        }
+        input.name = setting.id;
+
+        const output = document.createElement('output');
+        output.className = 'settings-value';
+
+        // Sliders only preview while dragged, the value is stored and applied
+        // on release so listeners don't rebuild or save on every step
+        if (setting.type === 'number') {
+            input.addEventListener('input', () => {
+                output.textContent = this.formatValue(setting, input.value);
+            });
+        }
+        input.addEventListener('change', () => {
+            const value = setting.type === 'boolean' ? input.checked : input.value;
+
+            // Show what was actually stored, in case validation adjusted it
+            this.showValue(setting.id, this.store.set(setting.id, value));
+        });
+
+        field.appendChild(input);
+        if (setting.type === 'number') {
+            field.appendChild(output);
+        }
+
+        this.inputs.set(setting.id, { setting, input, output });
+        this.showValue(setting.id, this.store.get(setting.id));
+
+        return field;
+    }
+
+    showValue(id, value) {
+        const entry = this.inputs.get(id);
+        if (!entry) return;
+
+        const { setting, input, output } = entry;
+        if (setting.type === 'boolean') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        output.textContent = this.formatValue(setting, value);
+    }
+
+    formatValue(setting, value) {
+        return setting.unit ? `${value} ${setting.unit}` : String(value);
+    }
+
+    dispose() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.inputs.clear();
+        this.container.innerHTML = '';
+    }
+}
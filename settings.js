@@ -0,0 +1,169 @@
+import { EventEmitter } from './event-emitter.js';
+
+// User preferences described by a schema, validated on every write and
+// persisted in localStorage as { version, values }.
+//
+// Each schema entry has an id, label, type ('number', 'boolean' or 'select')
+// and default; numbers take min, max and step, selects take choices. When a
+// setting is renamed or changes meaning, bump `version` and add a migration
+// keyed by the version it upgrades from: migrations[1] turns version 1 values
+// into version 2 values. Emits 'change' with { id, value } for each change.
+// Storage problems are reported to `debug`, anything with a warn() method.
+export class SettingsStore extends EventEmitter {
+    constructor({ key, version = 1, schema, migrations = {}, storage, debug = console }) {
+        super();
+
+        this.key = key;
+        this.version = version;
+        this.schema = new Map(schema.map(setting => [setting.id, setting]));
+        this.migrations = migrations;
+        this.storage = storage !== undefined ? storage : SettingsStore.getDefaultStorage();
+        this.debug = debug;
+
+        this.values = this.getDefaults();
+        this.load();
+    }
+
+    // localStorage can be missing or throw, e.g. in private browsing
+    static getDefaultStorage() {
+        try {
+            return globalThis.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getDefaults() {
+        const defaults = {};
+        for (const setting of this.schema.values()) {
+            defaults[setting.id] = setting.default;
+        }
+        return defaults;
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(this.key));
+        } catch (error) {
+            this.debug.warn(`Ignoring unreadable settings "${this.key}":`, error);
+            return;
+        }
+        if (!stored || typeof stored.values !== 'object') return;
+
+        const values = this.migrate(stored.values, stored.version || 1);
+
+        // Unknown settings are dropped and invalid ones fall back to defaults
+        for (const id of this.schema.keys()) {
+            if (id in values) {
+                this.values[id] = this.validate(id, values[id]);
+            }
+        }
+
+        if (stored.version !== this.version) {
+            this.save();
+        }
+    }
+
+    migrate(values, fromVersion) {
+        let migrated = { ...values };
+        for (let version = fromVersion; version < this.version; version++) {
+            const migration = this.migrations[version];
+            if (migration) {
+                migrated = migration(migrated);
+            }
+        }
+        return migrated;
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: this.version, values: this.values }));
+        } catch (error) {
+            this.debug.warn(`Could not save settings "${this.key}":`, error);
+        }
+    }
+
+    // Coerce a value into the setting's type and range
+    validate(id, value) {
+        const setting = this.schema.get(id);
+        if (!setting) {
+            throw new Error(`Unknown setting "${id}"`);
+        }
+
+        switch (setting.type) {
+            case 'number': {
+                let number = Number(value);
+                if (!Number.isFinite(number)) return setting.default;
+
+                number = Math.max(setting.min ?? -Infinity, Math.min(setting.max ?? Infinity, number));
+                if (setting.step) {
+                    // Snap to the step grid, counted from min so ranges like 0.3-2 stay aligned
+                    const base = setting.min ?? 0;
+                    number = base + Math.round((number - base) / setting.step) * setting.step;
+                    number = Number(number.toFixed(6));
+                }
+                return number;
+            }
+
+            case 'boolean':
+                return value === true || value === 'true';
+
+            case 'select':
+                return setting.choices.some(choice => choice.value === value) ? value : setting.default;
+
+            default:
+                return value;
+        }
+    }
+
+    get(id) {
+        return this.values[id];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    // Returns the value actually stored after validation
+    set(id, value) {
+        const validated = this.validate(id, value);
+        if (this.values[id] !== validated) {
+            this.values[id] = validated;
+            this.save();
+            this.emit('change', { id, value: validated });
+        }
+        return validated;
+    }
+
+    // Saved once, then a 'change' for every setting that was not at its default
+    reset() {
+        const changes = [];
+        for (const [id, value] of Object.entries(this.getDefaults())) {
+            if (this.values[id] !== value) {
+                this.values[id] = value;
+                changes.push({ id, value });
+            }
+        }
+        if (changes.length === 0) return;
+
+        this.save();
+        for (const change of changes) {
+            this.emit('change', change);
+        }
+    }
+
+    // Stores are usually created at import time, before the app's debug
+    // output exists; it can be attached once it does
+    setDebug(debug) {
+        this.debug = debug;
+    }
+
+    getSchema() {
+        return Array.from(this.schema.values());
+    }
+}
@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+
+// Shadow map sizes from best to cheapest; 0 turns shadows off
+const QUALITY_LEVELS = [1024, 512, 256, 0];
+
+// Average frame times, relative to the session's frame interval, that make
+// the quality step down or back up. Phones run AR at the camera rate of
+// about 30 fps and headsets at 60 fps or more, so fixed times won't do.
+const SLOW_FRAME_RATIO = 1.5;
+const FAST_FRAME_RATIO = 1.1;
+
+// Seconds of frames averaged for the frame interval when the session
+// doesn't report its frame rate
+const BASELINE_TIME = 3;
+
+// Seconds between quality decisions, and of smooth frames before stepping up.
+// Every step down waits longer before trying again, so quality settles
+// instead of going up and down.
+const EVALUATION_INTERVAL = 2;
+const RECOVERY_TIME = 6;
+const MAX_RECOVERY_TIME = 60;
+
+// Size of the shadow receiving area around the placed content, in meters
+const CATCHER_SIZE = 4;
+
+// Grounds placed AR content with shadows on the real surface: an invisible
+// plane under the content that only shows the shadows falling on it, and the
+// directional light's shadow camera kept around the content. Shadow quality
+// adapts to the frame rate, down to no shadows at all on slow devices.
+export class ShadowCatcher {
+    constructor(arScene, debug) {
+        this.arScene = arScene;
+        this.debug = debug;
+
+        this.level = 0;
+        this.averageFrameTime = 1 / 60;
+        this.sinceEvaluation = 0;
+        this.smoothTime = 0;
+        this.recoveryTime = RECOVERY_TIME;
+        this.session = null;
+        this.baseline = { frameTime: null, time: 0, frames: 0 };
+
+        const renderer = arScene.renderer;
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        const light = arScene.directionalLight;
+        light.castShadow = true;
+        light.shadow.mapSize.set(QUALITY_LEVELS[0], QUALITY_LEVELS[0]);
+        light.shadow.bias = -0.0005;
+        light.shadow.normalBias = 0.01;
+        arScene.scene.add(light.target);
+
+        this.plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(CATCHER_SIZE, CATCHER_SIZE),
+            new THREE.ShadowMaterial({ opacity: 0.35, depthWrite: false })
+        );
+        this.plane.rotation.x = -Math.PI / 2;
+        this.plane.position.y = 0.001; // Just above the real surface
+        this.plane.receiveShadow = true;
+        this.plane.name = 'shadow-catcher';
+    }
+
+    // The plane lies on the surface the content was placed on
+    attach(anchor) {
+        anchor.add(this.plane);
+    }
+
+    // Every session measures its own frame interval
+    start(session) {
+        this.session = session;
+        this.baseline = { frameTime: null, time: 0, frames: 0 };
+        this.sinceEvaluation = 0;
+        this.smoothTime = 0;
+    }
+
+    update(deltaTime) {
+        const anchor = this.arScene.arAnchor;
+        const light = this.arScene.directionalLight;
+        this.plane.visible = Boolean(anchor?.userData.placed) && light.castShadow;
+
+        if (anchor?.userData.placed) {
+            this.followAnchor(anchor);
+        }
+
+        this.adaptQuality(deltaTime);
+    }
+
+    // Keep the light shining along its direction onto the content, with a
+    // shadow camera just big enough for it
+    followAnchor(anchor) {
+        const light = this.arScene.directionalLight;
+        const center = anchor.getWorldPosition(new THREE.Vector3());
+        const scale = anchor.scale.x;
+
+        light.target.position.copy(center);
+        light.position.copy(this.arScene.lightDirection).multiplyScalar(3 * scale).add(center);
+
+        const camera = light.shadow.camera;
+        const extent = CATCHER_SIZE / 4 * scale;
+        if (camera.right !== extent) {
+            camera.left = -extent;
+            camera.right = extent;
+            camera.top = extent;
+            camera.bottom = -extent;
+            camera.near = 0.1;
+            camera.far = 6 * scale;
+            camera.updateProjectionMatrix();
+        }
+    }
+
+    // Nominal seconds per frame of the session, null while still measuring
+    getFrameInterval(deltaTime) {
+        const frameRate = this.session?.frameRate;
+        if (frameRate > 0) return 1 / frameRate;
+
+        const baseline = this.baseline;
+        if (baseline.frameTime === null) {
+            baseline.time += deltaTime;
+            baseline.frames++;
+            if (baseline.time >= BASELINE_TIME) {
+                baseline.frameTime = baseline.time / baseline.frames;
+                this.debug.log(`Shadow quality measured against ${Math.round(1 / baseline.frameTime)} fps`);
+            }
+        }
+        return baseline.frameTime;
+    }
+
+    adaptQuality(deltaTime) {
+        if (!(deltaTime > 0)) return;
+
+        this.averageFrameTime += (deltaTime - this.averageFrameTime) * 0.05;
+
+        const frameInterval = this.getFrameInterval(deltaTime);
+        if (frameInterval === null) return;
+
+        this.sinceEvaluation += deltaTime;
+        this.smoothTime = this.averageFrameTime < frameInterval * FAST_FRAME_RATIO ? this.smoothTime + deltaTime : 0;
+
+        if (this.sinceEvaluation < EVALUATION_INTERVAL) return;
+        this.sinceEvaluation = 0;
+
+        if (this.averageFrameTime > frameInterval * SLOW_FRAME_RATIO && this.level < QUALITY_LEVELS.length - 1) {
+            this.setLevel(this.level + 1);
+            this.recoveryTime = Math.min(this.recoveryTime * 2, MAX_RECOVERY_TIME);
+        } else if (this.smoothTime > this.recoveryTime && this.level > 0) {
+            this.smoothTime = 0;
+            this.setLevel(this.level - 1);
+        }
+    }
+
+    setLevel(level) {
+        this.level = level;
+        const size = QUALITY_LEVELS[level];
+        const light = this.arScene.directionalLight;
+
+        light.castShadow = size > 0;
+        if (size > 0) {
+            light.shadow.mapSize.set(size, size);
+
+            // A new map of the right size is made on the next render
+            light.shadow.map?.dispose();
+            light.shadow.map = null;
+        }
+
+        const fps = Math.round(1 / this.averageFrameTime);
+        this.debug.log(size > 0
+            ? `Shadow quality set to ${size}px at ${fps} fps`
+            : `Shadows turned off at ${fps} fps`);
+    }
+}
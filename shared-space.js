@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { EventEmitter } from './event-emitter.js';
+
+// Printed marker both devices align to, and its real world width in meters
+export const MARKER_IMAGE_URL = 'markers/shared-space.svg';
+export const MARKER_WIDTH = 0.2;
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Each peer plays from the near side, so the guest's table faces the other way
+const HALF_TURN = new THREE.Matrix4().makeRotationY(Math.PI);
+
+// Tracked frames averaged before the marker pose is trusted
+const MARKER_SAMPLES = 30;
+
+// Horizontal frame at `origin` with +X along `direction` projected onto the floor
+function horizontalFrame(origin, direction) {
+    const xAxis = direction.clone().setY(0);
+    if (xAxis.lengthSq() < 1e-8) return null;
+    xAxis.normalize();
+
+    const zAxis = new THREE.Vector3().crossVectors(xAxis, WORLD_UP);
+    return new THREE.Matrix4().makeBasis(xAxis, WORLD_UP, zAxis).setPosition(origin);
+}
+
+async function loadMarkerBitmap() {
+    const image = new Image();
+    image.src = MARKER_IMAGE_URL;
+    await image.decode();
+    return createImageBitmap(image);
+}
+
+// Extra XR session features a co-location method needs
+export async function getSharedSpaceSessionInit(method) {
+    if (method !== 'marker') return {};
+
+    // Without the image the session still starts and alignment falls back to taps
+    let image;
+    try {
+        image = await loadMarkerBitmap();
+    } catch (error) {
+        return {};
+    }
+
+    return {
+        optionalFeatures: ['image-tracking'],
+        trackedImages: [{ image, widthInMeters: MARKER_WIDTH }]
+    };
+}
+
+// Agrees on one table placement between two co-located devices in an online
+// match. Both devices locate the same physical marker, either through WebXR
+// image tracking or by tapping two of its corners. The host sends its table
+// pose relative to the marker and the guest rebuilds it in its own reference
+// space. Emits 'status' with a message for the player and 'aligned'.
+export class SharedSpace extends EventEmitter {
+    constructor(arScene, debug, onlineMatch, { method = 'marker' } = {}) {
+        super();
+
+        this.arScene = arScene;
+        this.debug = debug;
+        this.onlineMatch = onlineMatch;
+        this.isHost = onlineMatch.isHost;
+        this.method = method;
+
+        // Marker pose in the local reference space, once known
+        this.markerMatrix = null;
+        this.markerSamples = { count: 0, position: new THREE.Vector3(), direction: new THREE.Vector3() };
+        this.tappedPoints = [];
+
+        // Guest: host table pose relative to the marker
+        this.remoteTransform = null;
+        this.aligned = false;
+        this.statusMessage = '';
+
+        this.subscriptions = [];
+        this.onTap = this.onTap.bind(this);
+        this.onContentMoved = this.onContentMoved.bind(this);
+    }
+
+    start() {
+        this.subscriptions.push(
+            this.onlineMatch.on('connected', () => {
+                this.shareAnchor();
+                // Connecting clears the match status, keep guiding the player
+                if (!this.aligned) this.setStatus(this.statusMessage);
+            }),
+            this.onlineMatch.on('message', (message) => {
+                if (message.t === 'shared-anchor') this.onRemoteAnchor(message);
+            })
+        );
+
+        document.addEventListener('ar-content-moved', this.onContentMoved);
+        this.subscriptions.push(() => document.removeEventListener('ar-content-moved', this.onContentMoved));
+
+        if (this.arScene.debugMode) {
+            this.debug.warn("Shared space alignment needs an AR session, skipping");
+            return;
+        }
+
+        if (this.method === 'marker') {
+            this.checkMarkerTrackable();
+            this.setStatus('Point your camera at the shared marker');
+        } else {
+            this.startTapAlignment();
+        }
+    }
+
+    async checkMarkerTrackable() {
+        const session = this.arScene.session;
+        if (!session?.getTrackedImageScores) return;
+
+        try {
+            const [score] = await session.getTrackedImageScores();
+            if (score === 'untrackable') {
+                this.debug.warn("Shared marker is not trackable on this device");
+                this.fallBackToTaps();
+            }
+        } catch (error) {
+            this.debug.warn("Could not query marker tracking:", error);
+        }
+    }
+
+    fallBackToTaps() {
+        if (this.method === 'taps' || this.markerMatrix) return;
+
+        this.debug.log("Falling back to tapping the marker corners");
+        this.method = 'taps';
+        this.startTapAlignment();
+    }
+
+    startTapAlignment() {
+        this.tappedPoints = [];
+        this.arScene.addTapHandler(this.onTap);
+        this.setStatus('Tap the top left corner of the shared marker');
+    }
+
+    // Consumes the two corner taps so they don't move the table
+    onTap(position) {
+        if (this.markerMatrix) return false;
+
+        this.tappedPoints.push(position.clone());
+        if (this.tappedPoints.length < 2) {
+            this.setStatus('Now tap the top right corner of the marker');
+            return true;
+        }
+
+        const [left, right] = this.tappedPoints;
+        const frame = horizontalFrame(left, right.clone().sub(left));
+        if (!frame) {
+            this.tappedPoints = [];
+            this.setStatus('Corners were too close, tap the top left corner again');
+            return true;
+        }
+
+        this.arScene.removeTapHandler(this.onTap);
+        this.setMarkerMatrix(frame);
+        return true;
+    }
+
+    update(frame, referenceSpace) {
+        if (this.method !== 'marker' || this.markerMatrix || !frame) return;
+
+        if (!frame.getImageTrackingResults) {
+            this.debug.warn("Image tracking is not available in this session");
+            this.fallBackToTaps();
+            return;
+        }
+
+        for (const result of frame.getImageTrackingResults()) {
+            if (result.index !== 0 || result.trackingState !== 'tracked') continue;
+
+            const pose = frame.getPose(result.imageSpace, referenceSpace);
+            if (!pose) continue;
+
+            // Average a few frames, single detections jitter by a centimeter or two
+            const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+            const samples = this.markerSamples;
+            samples.position.add(new THREE.Vector3().setFromMatrixPosition(matrix));
+            samples.direction.add(new THREE.Vector3().setFromMatrixColumn(matrix, 0));
+            samples.count++;
+
+            if (samples.count < MARKER_SAMPLES) continue;
+
+            const origin = samples.position.clone().divideScalar(samples.count);
+            const markerFrame = horizontalFrame(origin, samples.direction);
+            if (markerFrame) {
+                this.setMarkerMatrix(markerFrame);
+            } else {
+                // Marker is standing on its edge, start over
+                this.markerSamples = { count: 0, position: new THREE.Vector3(), direction: new THREE.Vector3() };
+            }
+        }
+    }
+
+    setMarkerMatrix(matrix) {
+        this.markerMatrix = matrix;
+        this.debug.log(`Shared marker located using ${this.method}`);
+
+        if (this.isHost) {
+            this.shareAnchor();
+        } else {
+            this.tryAlign();
+        }
+    }
+
+    // Host: send the table pose relative to the marker
+    shareAnchor() {
+        const anchor = this.arScene.arAnchor;
+        if (!this.isHost || !this.markerMatrix || !anchor) return;
+
+        anchor.updateMatrix();
+        const transform = this.markerMatrix.clone().invert().multiply(anchor.matrix);
+
+        if (this.onlineMatch.send({ t: 'shared-anchor', method: this.method, transform: transform.toArray() })) {
+            this.aligned = true;
+            this.setStatus('');
+            this.emit('aligned');
+        } else {
+            this.setStatus('Marker located, waiting for your opponent');
+        }
+    }
+
+    // The player moved the board; the host's new pose is shared, a guest's
+    // table simply stops lining up until the host shares again
+    onContentMoved() {
+        if (this.isHost) {
+            this.shareAnchor();
+        } else if (this.aligned) {
+            this.debug.warn("Board moved on this device, it no longer lines up with the host's table");
+        }
+    }
+
+    // Guest: the host's table pose arrived
+    onRemoteAnchor(message) {
+        if (this.isHost) return;
+
+        if (message.method !== this.method) {
+            this.debug.warn(`Host aligned with ${message.method}, this device with ${this.method}`);
+        }
+
+        this.remoteTransform = new THREE.Matrix4().fromArray(message.transform);
+        this.tryAlign();
+    }
+
+    tryAlign() {
+        if (!this.markerMatrix) return;
+        if (!this.remoteTransform) {
+            this.setStatus("Marker located, waiting for the host's table");
+            return;
+        }
+
+        const matrix = this.markerMatrix.clone().multiply(this.remoteTransform).multiply(HALF_TURN);
+        this.arScene.setAnchorTransform(matrix);
+
+        this.aligned = true;
+        this.debug.log("Table aligned with the host");
+        this.setStatus('');
+        this.emit('aligned');
+    }
+
+    setStatus(message) {
+        this.statusMessage = message;
+        this.emit('status', message);
+    }
+
+    dispose() {
+        this.arScene.removeTapHandler(this.onTap);
+        this.subscriptions.forEach(off => off());
+        this.subscriptions = [];
+        this.removeAllListeners();
+    }
+}
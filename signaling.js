@@ -0,0 +1,143 @@
+import { EventEmitter } from './event-emitter.js';
+
+// Base class for signaling transports used to set up peer connections.
+// Adapters join a room, relay JSON messages to the other peer in it and emit
+// 'open', 'message' (with the parsed message), 'close' and 'error'.
+export class SignalingAdapter extends EventEmitter {
+    constructor() {
+        super();
+        this.room = null;
+        this.connected = false;
+    }
+
+    // Resolves once the adapter has joined the room
+    async connect(room) {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    send(message) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+
+    close() {
+        if (!this.connected) return;
+        this.connected = false;
+        this.emit('close');
+    }
+}
+
+// In-process signaling for tests and bots: adapters joining the same room
+// in the same page deliver messages to each other directly.
+export class LoopbackSignaling extends SignalingAdapter {
+    static rooms = new Map();
+
+    async connect(room) {
+        const peers = LoopbackSignaling.rooms.get(room) || new Set();
+        if (peers.size >= 2) {
+            throw new Error(`Loopback room "${room}" is full`);
+        }
+
+        peers.add(this);
+        LoopbackSignaling.rooms.set(room, peers);
+
+        this.room = room;
+        this.connected = true;
+        this.emit('open');
+    }
+
+    send(message) {
+        if (!this.connected) {
+            throw new Error("Loopback signaling is not connected");
+        }
+
+        // Deliver asynchronously, like a real network would
+        const payload = JSON.stringify(message);
+        for (const peer of LoopbackSignaling.rooms.get(this.room) || []) {
+            if (peer !== this) {
+                queueMicrotask(() => peer.emit('message', JSON.parse(payload)));
+            }
+        }
+    }
+
+    close() {
+        const peers = LoopbackSignaling.rooms.get(this.room);
+        if (peers) {
+            peers.delete(this);
+            if (peers.size === 0) {
+                LoopbackSignaling.rooms.delete(this.room);
+            }
+        }
+        super.close();
+    }
+}
+
+// Signaling through a WebSocket relay, needed for online play between two
+// devices. The server is expected to be a plain room relay: the client sends
+// { type: 'join', room } once connected, and the server forwards every other
+// message (JSON text) to the other client in the same room. Any room relay
+// of a few lines on a WebSocket library does; none ships with the game.
+export class WebSocketSignaling extends SignalingAdapter {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.socket = null;
+    }
+
+    connect(room) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                this.room = room;
+                this.connected = true;
+                socket.send(JSON.stringify({ type: 'join', room }));
+                this.emit('open');
+                resolve();
+            });
+
+            socket.addEventListener('message', (event) => {
+                try {
+                    this.emit('message', JSON.parse(event.data));
+                } catch (error) {
+                    this.emit('error', error);
+                }
+            });
+
+            socket.addEventListener('error', () => {
+                const error = new Error(`WebSocket signaling error on ${this.url}`);
+                this.emit('error', error);
+                if (!this.connected) reject(error);
+            });
+
+            socket.addEventListener('close', () => super.close());
+        });
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error("WebSocket signaling is not connected");
+        }
+        this.socket.send(JSON.stringify(message));
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        super.close();
+    }
+}
+
+// Pick an adapter for a signaling address; 'loopback' stays in-process and
+// only pairs games running in the same page
+export function createSignaling(address) {
+    if (address === 'loopback') {
+        return new LoopbackSignaling();
+    }
+    if (!address) {
+        throw new Error("No signaling server address given");
+    }
+    return new WebSocketSignaling(address);
+}
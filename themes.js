@@ -0,0 +1,52 @@
+// Looks for the pong board. Each theme sets the palette and materials of the
+// table, ball, paddles and walls, how the ball's trail and the hit particles
+// look, and which sound set the audio engine plays. Glow opacities of 0 leave
+// the glow meshes out.
+export const THEMES = {
+    neon: {
+        label: 'Neon',
+        table: { color: 0x1a75ff, opacity: 0.2, lines: 0xffffff, lineOpacity: 0.2, edge: 0x00ffff, glow: 0x00ffff, glowOpacity: 0.2 },
+        ball: { color: 0xffffff, emissive: 0x444444, opacity: 0.9, shininess: 100, glow: 0x00ffff, glowOpacity: 0.3 },
+        paddles: { near: 0x00ff88, far: 0xff3366, opacity: 0.8, shininess: 80, glowOpacity: 0.2, lightIntensity: 0.5 },
+        walls: { color: 0xaaaaaa, opacity: 0.5, shininess: 100, glow: 0x3388ff, glowOpacity: 0.2 },
+        trail: { color: 0x00ffff, width: 0.03, opacity: 0.6, additive: true },
+        particles: { launch: 0x00ffff, wall: 0x3388ff, size: 0.02, opacity: 0.8, additive: true },
+        sounds: 'synth'
+    },
+    retro: {
+        label: 'Classic retro',
+        table: { color: 0x000000, opacity: 0.5, lines: 0xffffff, lineOpacity: 0.1, edge: 0xffffff, glow: 0xffffff, glowOpacity: 0 },
+        ball: { color: 0xffffff, emissive: 0xffffff, opacity: 1, shininess: 0, glow: 0xffffff, glowOpacity: 0 },
+        paddles: { near: 0xffffff, far: 0xbbbbbb, opacity: 1, shininess: 0, glowOpacity: 0, lightIntensity: 0 },
+        walls: { color: 0xffffff, opacity: 0.8, shininess: 0, glow: 0xffffff, glowOpacity: 0 },
+        trail: { color: 0x888888, width: 0.04, opacity: 0.5, additive: false },
+        particles: { launch: 0xffffff, wall: 0x888888, size: 0.015, opacity: 1, additive: false },
+        sounds: 'retro'
+    },
+    wood: {
+        label: 'Table tennis',
+        table: { color: 0x1e5631, opacity: 0.85, lines: 0xffffff, lineOpacity: 0, edge: 0xffffff, glow: 0x5c3a1e, glowOpacity: 0.9 },
+        ball: { color: 0xff8c1a, emissive: 0x331a00, opacity: 1, shininess: 60, glow: 0xff8c1a, glowOpacity: 0 },
+        paddles: { near: 0xc0392b, far: 0x222222, opacity: 1, shininess: 20, glowOpacity: 0, lightIntensity: 0 },
+        walls: { color: 0x8b5a2b, opacity: 0.35, shininess: 10, glow: 0x5c3a1e, glowOpacity: 0 },
+        trail: { color: 0xffb366, width: 0.02, opacity: 0.3, additive: false },
+        particles: { launch: 0xffffff, wall: 0xd9b38c, size: 0.012, opacity: 0.7, additive: false },
+        sounds: 'wood'
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        table: { color: 0x000000, opacity: 0.7, lines: 0xffffff, lineOpacity: 0.5, edge: 0xffff00, glow: 0xffff00, glowOpacity: 0 },
+        ball: { color: 0xffff00, emissive: 0x888800, opacity: 1, shininess: 30, glow: 0xffffff, glowOpacity: 0.6 },
+        paddles: { near: 0x00ffff, far: 0xff00ff, opacity: 1, shininess: 30, glowOpacity: 0.4, lightIntensity: 0 },
+        walls: { color: 0xffffff, opacity: 0.9, shininess: 0, glow: 0xffff00, glowOpacity: 0 },
+        trail: { color: 0xffff00, width: 0.04, opacity: 0.9, additive: false },
+        particles: { launch: 0xffff00, wall: 0xffffff, size: 0.025, opacity: 1, additive: false },
+        sounds: 'synth'
+    }
+};
+
+export const DEFAULT_THEME = 'neon';
+
+export function getTheme(id) {
+    return THEMES[id] || THEMES[DEFAULT_THEME];
+}